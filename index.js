@@ -3,38 +3,69 @@ const cors = require('cors');
 const path = require('path');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { execSync } = require('child_process');
+const { execFile } = require('child_process');
 const fs = require('fs');
+const crypto = require('crypto');
 const { createProxyMiddleware } = require("http-proxy-middleware");
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 // AWS S3 SDK modules
-const { 
-  S3Client, 
-  ListObjectsV2Command, 
-  GetObjectCommand, 
-  DeleteObjectsCommand 
-} = require("@aws-sdk/client-s3");
-const { Upload } = require("@aws-sdk/lib-storage");
-const { pipeline } = require("stream");
+const { S3Client } = require("@aws-sdk/client-s3");
+// Lock definition checks shared by the create and modify routes.
+const { validateLockDefinitions } = require('./validation/locks');
+// Outbound URL checks, so lock assets and webhooks never reach internal addresses.
+const { checkPublicUrl, fetchPublic } = require('./validation/urls');
+const { validateCaptionRequest } = require('./validation/captions');
+// Storage backends (S3 / S3-compatible / local disk).
+const {
+  LOCAL_STORAGE_ROOT,
+  createStorage,
+  decryptSecret,
+  encryptSecret,
+  sealAwsData,
+  sealStorageAccess,
+  storageConfigFromAwsData,
+  storageConfigFromProfile,
+  unsealAwsData,
+  validateAwsData,
+  verifyLocalUrl
+} = require('./storage');
+// Signed webhook deliveries for lock and render events.
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  generateWebhookSecret,
+  sendWebhook,
+  validateWebhookUrl,
+  webhookRetryDelay
+} = require('./webhooks');
+const { pipeline, Readable, Transform } = require("stream");
 const { promisify } = require("util");
 const streamPipeline = promisify(pipeline);
+const execFileAsync = promisify(execFile);
 
-// Connect to MongoDB.
+// Connect to MongoDB, unless the file is only loaded for its helpers (see the tests in test/).
 const connectionString = process.env.MONGO_URI;
-mongoose.connect(connectionString, { 
-  useNewUrlParser: true, 
-  useUnifiedTopology: true 
-})
-.then(() => console.log('Connected to MongoDB'))
-.catch(err => console.error('Error connecting to MongoDB:', err));
+if (require.main === module) {
+  mongoose.connect(connectionString, { 
+    useNewUrlParser: true, 
+    useUnifiedTopology: true 
+  })
+  .then(() => console.log('Connected to MongoDB'))
+  .catch(err => console.error('Error connecting to MongoDB:', err));
+}
 
 // Import Mongoose models.
 const Platform = require('./schemas/Platform');
 const User = require('./schemas/User');
 const Lock = require('./schemas/Lock');
 const Quota = require('./schemas/Quota');
+const QuotaCounter = require('./schemas/QuotaCounter');
+const Job = require('./schemas/Job');
+const LockRevision = require('./schemas/LockRevision');
+const Webhook = require('./schemas/Webhook');
+const WebhookDelivery = require('./schemas/WebhookDelivery');
 
 // Configure AWS S3 client using environment variables (for endpoints that rely on them).
 const s3ClientEnv = new S3Client({
@@ -46,10 +77,6 @@ const s3ClientEnv = new S3Client({
 });
 const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
 
-// Configure Multer for file uploads.
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
 const app = express();
 app.use(cors({
   origin: ["http://localhost:5173", "https://canvas-demo-client.vercel.app/"],
@@ -65,8 +92,27 @@ app.use(
 );
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-// Serve static files from the hls_output folder.
+// Serve static files from the hls_output folder (one subfolder per platform, holding one per downloaded content).
 app.use(express.static(path.join(__dirname, "hls_output")));
+// Serve objects of the local-disk storage backend. Only the locked variant is public; everything else
+// (originals, caption sidecars, unlocked output) needs a presigned URL (see storage/local.js presign).
+app.use('/storage', (req, res, next) => {
+  let segments;
+  try {
+    segments = req.path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return res.status(400).json({ message: "Invalid path." });
+  }
+  if (segments.some((segment) => segment === '..' || segment.includes('/') || segment.includes('\\'))) {
+    return res.status(400).json({ message: "Invalid path." });
+  }
+  const objectPath = segments.join('/');
+  const isPrivate = segments.includes(PRIVATE_FOLDER.replace(/\/$/, ''));
+  if ((isPrivate || !isLockedVariantFile(objectPath)) && !verifyLocalUrl(objectPath, req.query)) {
+    return res.status(404).json({ message: "Not found." });
+  }
+  return next();
+}, express.static(LOCAL_STORAGE_ROOT));
 
 // Create directories for temporary and HLS output.
 const TMP_DIR = path.join(__dirname, 'tmp');
@@ -78,22 +124,1007 @@ if (!fs.existsSync(outputDir)) {
   fs.mkdirSync(outputDir, { recursive: true });
 }
 
+// Largest MP4 (bytes) /ingest accepts, and the folder uploaded originals are stored under.
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024 * 1024;
+const INGEST_FOLDER = 'originals/';
+// Codecs an uploaded original may use.
+const INGEST_VIDEO_CODECS = ['h264', 'hevc', 'mpeg4', 'av1'];
+const INGEST_AUDIO_CODECS = ['aac', 'mp3', 'ac3', 'eac3', 'opus'];
+// Caption files /ingest accepts next to the video: how many, how large (bytes) and which formats.
+const MAX_CAPTION_UPLOADS = 10;
+const MAX_CAPTION_UPLOAD_BYTES = 5 * 1024 * 1024;
+const CAPTION_UPLOAD_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// Configure Multer for file uploads. Videos are large, so they are streamed to TMP_DIR
+// instead of being held in memory; routes remove the files when they are done with them.
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: TMP_DIR,
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      const suffix = file.fieldname === 'video'
+        ? '.mp4'
+        : (CAPTION_UPLOAD_EXTENSIONS.includes(extension) ? extension : '.bin');
+      cb(null, `upload-${uuidv4()}${suffix}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 + MAX_CAPTION_UPLOADS }
+});
+
+// Largest lock asset (bytes) fetched from a URL, and how many redirects are followed to get it.
+const MAX_LOCK_ASSET_BYTES = Number(process.env.MAX_LOCK_ASSET_BYTES) || 2 * 1024 * 1024 * 1024;
+const MAX_LOCK_ASSET_REDIRECTS = 3;
+// Content types accepted for the lock assets fetched from URLs, by lock field; generic binary is always accepted.
+const LOCK_ASSET_CONTENT_TYPES = {
+  replacementVideo: ['video/'],
+  imageUrl: ['image/'],
+  source: ['text/', 'application/x-subrip', 'application/x-ass']
+};
+
+// Default number of seconds an image lock is shown for when the request omits a duration.
+const IMAGE_LOCK_DEFAULT_DURATION = Number(process.env.IMAGE_LOCK_DEFAULT_DURATION) || 5;
+
+// Public address of this server, used for the key URIs written into encrypted playlists.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+// Secret used to sign key access tokens, and how long a token stays valid (seconds).
+const KEY_TOKEN_SECRET = process.env.KEY_TOKEN_SECRET;
+const KEY_TOKEN_TTL = Number(process.env.KEY_TOKEN_TTL) || 24 * 60 * 60;
+// API key of the service operator: acts as an Admin of every platform, e.g. to issue the first user keys.
+const OPERATOR_API_KEY = process.env.OPERATOR_API_KEY;
+
+// How long (seconds) playback tokens and the presigned segment URLs in served playlists stay valid.
+const PLAYBACK_URL_TTL = Number(process.env.PLAYBACK_URL_TTL) || 60 * 60;
+// Folder below a lock's output prefix holding the unlocked playlists. Buckets must not serve it
+// publicly (e.g. a bucket policy denying reads of "*/private/*"); viewers go through /playback.
+const PRIVATE_FOLDER = 'private/';
+
+// Target length (seconds) of the HLS segments, and how far (seconds) a keyframe may sit
+// from a lock boundary and still count as aligned with it.
+const SEGMENT_TARGET_DURATION = Number(process.env.SEGMENT_TARGET_DURATION) || 6;
+const KEYFRAME_TOLERANCE = 0.01;
+
+// Default adaptive-bitrate ladder as "name:height:videoKbps,..."; rungs above the source height are skipped.
+const ABR_LADDER = parseRenditionLadder(process.env.ABR_LADDER || '1080p:1080:5000,720p:720:2800,480p:480:1400');
+
+// Scrub-bar thumbnails: one every THUMBNAIL_INTERVAL seconds, THUMBNAIL_WIDTH pixels wide,
+// tiled THUMBNAIL_GRID x THUMBNAIL_GRID to a sprite sheet.
+const THUMBNAIL_INTERVAL = Number(process.env.THUMBNAIL_INTERVAL) || 10;
+const THUMBNAIL_WIDTH = Number(process.env.THUMBNAIL_WIDTH) || 160;
+const THUMBNAIL_GRID = 10;
+// Where the sprite sheets and the WebVTT thumbnail track go inside a render's output.
+const THUMBNAILS_FOLDER = 'thumbnails/';
+const THUMBNAIL_TRACK_FILE = `${THUMBNAILS_FOLDER}thumbnails.vtt`;
+
+// Pitch (Hz) of the bleep that "tone" mute locks play instead of the original audio.
+const MUTE_TONE_FREQUENCY = Number(process.env.MUTE_TONE_FREQUENCY) || 1000;
+// Region locks: the pixelate block size as a fraction of the rendition height, and the largest blur radius.
+const REGION_PIXELATE_BLOCK = 1 / 54;
+const REGION_BLUR_MAX_RADIUS = 20;
+
+// Caption tracks go to captions/<track>/ inside a render's output, as segmented WebVTT renditions.
+const CAPTIONS_FOLDER = 'captions/';
+// Subtitle codecs ffmpeg can turn into WebVTT; bitmap subtitles (PGS, DVD) are skipped.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'webvtt', 'mov_text', 'ass', 'ssa', 'text'];
+// ffmpeg's MPEG-TS muxer starts timestamps at 1.4s (twice its default 0.7s muxdelay); the WebVTT
+// segments map their cue times onto the video with it.
+const MPEGTS_START_PTS = 126000;
+// Shown in the locked variant instead of captions inside lock windows; empty drops those cues.
+const CAPTION_LOCK_NOTICE = process.env.CAPTION_LOCK_NOTICE || '';
+
+// How long (seconds) a replaced render stays in storage before it is deleted, so viewers
+// who started on it can finish.
+const OUTPUT_GC_GRACE_SECONDS = Number(process.env.OUTPUT_GC_GRACE_SECONDS) || 6 * 60 * 60;
+
+// How often (ms) the job worker looks for queued render jobs.
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+// How often (ms) the webhook worker looks for deliveries that are due.
+const WEBHOOK_POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+
+/**
+ * Runs ffmpeg/ffprobe with a list of arguments in a child process without blocking the event loop.
+ * No shell is involved, so paths, keys and URLs from requests are never interpreted as commands.
+ * Resolves with its stdout.
+ */
+async function runCommand(file, args) {
+  const { stdout } = await execFileAsync(file, args, { maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Returns true if the file has at least one audio stream.
+ */
+async function hasAudioStream(inputPath) {
+  const output = (await runCommand('ffprobe', [
+    '-v', 'error', '-select_streams', 'a', '-show_entries', 'stream=index', '-of', 'csv=p=0', inputPath
+  ])).trim();
+  return output.length > 0;
+}
+
+/**
+ * Downloads an asset referenced by a lock (e.g. a replacement video) to a local path.
+ * The source may be a full http(s) URL or an object key inside the given storage; URLs of that storage
+ * are read from it directly. Other URLs must resolve to public addresses (checked again on every redirect,
+ * and fetchPublic refuses to connect anywhere else), answer with one of contentTypes (or generic binary)
+ * and stay below MAX_LOCK_ASSET_BYTES.
+ */
+async function fetchLockAsset(storage, source, destPath, contentTypes = []) {
+  const storageKey = /^https?:\/\//i.test(source) ? storage.keyFromUrl(source.split('?')[0]) : source;
+  if (storageKey) {
+    await streamPipeline(await storage.getStream(storageKey), fs.createWriteStream(destPath));
+    return destPath;
+  }
+  let url = source;
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    const urlError = await checkPublicUrl(url, 'Lock asset URL');
+    if (urlError) {
+      throw new Error(`${urlError} (${source})`);
+    }
+    response = await fetchPublic(url);
+    if (response.status < 300 || response.status >= 400 || !response.headers.get('location')) {
+      break;
+    }
+    await response.arrayBuffer().catch(() => {});
+    if (redirects >= MAX_LOCK_ASSET_REDIRECTS) {
+      throw new Error(`Failed to fetch lock asset ${source}: too many redirects`);
+    }
+    url = new URL(response.headers.get('location'), url).toString();
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch lock asset ${source}: ${response.status}`);
+  }
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const acceptedTypes = [...contentTypes, 'application/octet-stream', 'binary/octet-stream'];
+  if (contentType && !acceptedTypes.some(type => type.endsWith('/') ? contentType.startsWith(type) : contentType === type)) {
+    await response.body.cancel().catch(() => {});
+    throw new Error(`Failed to fetch lock asset ${source}: unexpected content type ${contentType}`);
+  }
+  if (Number(response.headers.get('content-length')) > MAX_LOCK_ASSET_BYTES) {
+    await response.body.cancel().catch(() => {});
+    throw new Error(`Failed to fetch lock asset ${source}: larger than ${MAX_LOCK_ASSET_BYTES} bytes`);
+  }
+  // Content-Length may be missing or wrong, so the bytes are counted as they arrive too.
+  let received = 0;
+  const limitSize = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > MAX_LOCK_ASSET_BYTES
+        ? new Error(`Failed to fetch lock asset ${source}: larger than ${MAX_LOCK_ASSET_BYTES} bytes`)
+        : null, chunk);
+    }
+  });
+  await streamPipeline(Readable.fromWeb(response.body), limitSize, fs.createWriteStream(destPath));
+  return destPath;
+}
+
+/**
+ * Returns the channel layout and sample rate of the first audio stream,
+ * or null if the file has no audio.
+ */
+async function getAudioLayout(inputPath) {
+  const output = await runCommand('ffprobe', [
+    '-v', 'error', '-select_streams', 'a:0', '-show_entries', 'stream=channels,channel_layout,sample_rate', '-of', 'json', inputPath
+  ]);
+  const stream = (JSON.parse(output).streams || [])[0];
+  if (!stream) {
+    return null;
+  }
+  const layoutsByChannels = { 1: 'mono', 2: 'stereo', 6: '5.1', 8: '7.1' };
+  return {
+    channelLayout: stream.channel_layout || layoutsByChannels[stream.channels] || 'stereo',
+    sampleRate: Number(stream.sample_rate) || 48000
+  };
+}
+
+/**
+ * Returns the frame rate of the first video stream as a rational string (e.g. "30000/1001"), which
+ * ffmpeg's fps filter and -framerate accept; "30" if the file does not report a usable one.
+ */
+async function getVideoFrameRate(inputPath) {
+  const output = await runCommand('ffprobe', [
+    '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=avg_frame_rate,r_frame_rate', '-of', 'json', inputPath
+  ]);
+  const stream = (JSON.parse(output).streams || [])[0] || {};
+  const rate = [stream.avg_frame_rate, stream.r_frame_rate]
+    .find(value => /^[1-9]\d*\/[1-9]\d*$/.test(value || ''));
+  return rate || '30';
+}
+
+/**
+ * Returns the presentation times (seconds) of the video keyframes, read from packet flags
+ * so nothing has to be decoded.
+ */
+async function getKeyframeTimes(inputPath) {
+  const output = await runCommand('ffprobe', [
+    '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'packet=pts_time,flags', '-of', 'csv=p=0', inputPath
+  ]);
+  return output
+    .split('\n')
+    .map(line => line.split(','))
+    .filter(([ptsTime, flags]) => flags && flags.includes('K') && ptsTime !== 'N/A')
+    .map(([ptsTime]) => Number(ptsTime))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Returns true if the source's video and audio codecs can be stream-copied into MPEG-TS.
+ */
+async function canStreamCopyToTs(inputPath) {
+  const output = await runCommand('ffprobe', [
+    '-v', 'error', '-show_entries', 'stream=codec_type,codec_name', '-of', 'csv=p=0', inputPath
+  ]);
+  const copyable = { video: ['h264', 'hevc'], audio: ['aac', 'mp3', 'ac3'] };
+  return output
+    .trim()
+    .split('\n')
+    .map(line => line.split(','))
+    .filter(([, codecType]) => codecType === 'video' || codecType === 'audio')
+    .every(([codecName, codecType]) => copyable[codecType].includes(codecName));
+}
+
+/**
+ * Splits an original span [start, end) into pieces: the keyframe-aligned middle is stream-copied,
+ * the parts before the first and after the last keyframe in the span are re-encoded so the span
+ * still starts and ends exactly on the lock boundaries.
+ */
+function planSourcePieces(start, end, keyframes, totalDuration, canCopy) {
+  const tolerance = KEYFRAME_TOLERANCE;
+  if (!canCopy) {
+    return [{ start, end, copy: false }];
+  }
+  const copyStart = keyframes.find(k => k >= start - tolerance && k <= end);
+  // The end of the file counts as a cut point, so the last span can be copied to the end.
+  const copyEnd = end >= totalDuration - tolerance
+    ? end
+    : [...keyframes].reverse().find(k => k <= end + tolerance && k >= start);
+  if (copyStart === undefined || copyEnd === undefined || copyEnd - copyStart < SEGMENT_TARGET_DURATION) {
+    return [{ start, end, copy: false }];
+  }
+  const pieces = [];
+  if (copyStart - start > tolerance) {
+    pieces.push({ start, end: copyStart, copy: false });
+  }
+  pieces.push({ start: Math.max(copyStart, start), end: Math.min(copyEnd, end), copy: true });
+  if (end - copyEnd > tolerance) {
+    pieces.push({ start: copyEnd, end, copy: false });
+  }
+  return pieces;
+}
+
+/**
+ * Runs ffmpeg with the given input and codec arguments (a list) through the segment muxer, producing
+ * `${name}_NNN.ts` files of about SEGMENT_TARGET_DURATION seconds in workDir.
+ * `timelineOffset` shifts the output timestamps so segments line up with the source timeline.
+ * Returns [{ uri, duration }] in playback order, as reported by the muxer's segment list.
+ */
+async function encodeToSegments(ffmpegArgs, workDir, name, timelineOffset) {
+  const listPath = path.join(workDir, `${name}.csv`);
+  await runCommand('ffmpeg', [
+    '-y',
+    ...ffmpegArgs,
+    '-output_ts_offset', String(timelineOffset),
+    '-f', 'segment',
+    '-segment_time', String(SEGMENT_TARGET_DURATION),
+    '-segment_format', 'mpegts',
+    '-segment_list', listPath,
+    '-segment_list_type', 'csv',
+    path.join(workDir, `${name}_%03d.ts`)
+  ]);
+  const entries = fs.readFileSync(listPath, 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => {
+      const [uri, segStart, segEnd] = line.split(',');
+      return { uri, duration: Number(segEnd) - Number(segStart) };
+    });
+  fs.unlinkSync(listPath);
+  return entries;
+}
+
+/**
+ * Builds a VOD media playlist from [{ uri, duration, discontinuity? }] entries.
+ */
+function buildMediaPlaylist(entries) {
+  const targetDuration = Math.ceil(Math.max(...entries.map(e => e.duration)));
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  for (const entry of entries) {
+    if (entry.discontinuity) {
+      playlist.push('#EXT-X-DISCONTINUITY');
+    }
+    playlist.push(`#EXTINF:${entry.duration.toFixed(6)},`);
+    playlist.push(entry.uri);
+  }
+  playlist.push('#EXT-X-ENDLIST');
+  return playlist.join('\n');
+}
+
+/**
+ * Parses a rendition ladder of the form "name:height:videoKbps,..." (e.g. "720p:720:2800").
+ */
+function parseRenditionLadder(ladder) {
+  return ladder.split(',').map(rung => {
+    const [name, height, videoBitrate] = rung.trim().split(':');
+    return { name, height: Number(height), videoBitrate: Number(videoBitrate) };
+  });
+}
+
+/**
+ * Resolves a requested ladder against the source: rungs taller than the source are dropped,
+ * widths follow the source aspect ratio, and the rung matching the source height is marked
+ * as the source rendition (the only one that can be stream-copied).
+ * If no rung fits, a single rendition at the source resolution is used.
+ */
+function resolveRenditions(ladder, sourceWidth, sourceHeight) {
+  const renditions = ladder
+    .filter(rung => rung.height <= sourceHeight)
+    .map(rung => ({
+      name: rung.name || `${rung.height}p`,
+      width: Math.round((sourceWidth * rung.height) / sourceHeight / 2) * 2,
+      height: rung.height,
+      videoBitrate: Number(rung.videoBitrate) || null,
+      isSource: false
+    }));
+  if (renditions.length === 0) {
+    renditions.push({ name: 'source', width: sourceWidth, height: sourceHeight, videoBitrate: null, isSource: false });
+  }
+  const sourceRendition = renditions.find(r => r.height === sourceHeight);
+  if (sourceRendition) {
+    sourceRendition.isSource = true;
+    sourceRendition.width = sourceWidth;
+  }
+  return renditions;
+}
+
+/**
+ * Returns the peak and average bitrate (bits/s) of a list of segments in dir.
+ */
+function measureBandwidth(entries, dir) {
+  let totalBits = 0;
+  let totalDuration = 0;
+  let peak = 0;
+  for (const entry of entries) {
+    const bits = fs.statSync(path.join(dir, entry.uri)).size * 8;
+    totalBits += bits;
+    totalDuration += entry.duration;
+    if (entry.duration > 0) {
+      peak = Math.max(peak, bits / entry.duration);
+    }
+  }
+  return {
+    bandwidth: Math.ceil(peak),
+    averageBandwidth: Math.ceil(totalDuration > 0 ? totalBits / totalDuration : 0)
+  };
+}
+
+/**
+ * Builds a master playlist from [{ uri, bandwidth, averageBandwidth, width, height }] variants.
+ * Subtitle tracks ([{ uri, language, label, isDefault }]) become one SUBTITLES group every variant refers to.
+ */
+function buildMasterPlaylist(variants, subtitles = []) {
+  const playlist = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  const defaultTrack = subtitles.find(track => track.isDefault);
+  // Labels and languages of embedded tracks come from the file's tags: keep them on one line, without quotes.
+  const attributeValue = value => String(value).replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/"/g, "'");
+  for (const track of subtitles) {
+    playlist.push(
+      `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${attributeValue(track.label)}",LANGUAGE="${attributeValue(track.language)}",` +
+      `DEFAULT=${track === defaultTrack ? 'YES' : 'NO'},AUTOSELECT=YES,URI="${track.uri}"`
+    );
+  }
+  const subtitlesAttribute = subtitles.length > 0 ? ',SUBTITLES="subs"' : '';
+  for (const variant of variants) {
+    playlist.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},AVERAGE-BANDWIDTH=${variant.averageBandwidth},RESOLUTION=${variant.width}x${variant.height}${subtitlesAttribute}`
+    );
+    playlist.push(variant.uri);
+  }
+  return playlist.join('\n');
+}
+
+/**
+ * Renders one rendition of a planned video into renditionDir: the original spans as segments
+ * (stream-copied where possible for the source rendition), the lock spans at the rendition's
+ * resolution, and the output.m3u8 / blackout.m3u8 media playlists. The original inside lock
+ * windows goes to hidden_* segments, which only the unlocked playlist uses (see isUnlockedOutput).
+ * Lock spans are encoded at the source's frame rate and with its audio layout (no audio if it has none).
+ * Returns the playlist paths and the measured bandwidth of each variant.
+ */
+async function renderRendition(inputPath, renditionDir, allSegments, rendition, context) {
+  const { keyframes, totalDuration, canCopy, audioLayout, frameRate, reportEncode } = context;
+  const { width, height } = rendition;
+  const forceKeyFrames = ['-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_TARGET_DURATION})`];
+  const bitrateArgs = rendition.videoBitrate
+    ? ['-b:v', `${rendition.videoBitrate}k`, '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`, '-bufsize', `${rendition.videoBitrate * 2}k`]
+    : [];
+  const scaleArgs = rendition.isSource ? [] : ['-vf', `scale=${width}:${height}`];
+  const sourceEntries = new Map();
+  const lockEntries = new Map();
+  
+  // Extract each span of the original as HLS segments.
+  console.log(`Extracting segments for ${rendition.name}:`);
+  for (const [index, segment] of allSegments.entries()) {
+    const pieces = segment.insert
+      ? []
+      : planSourcePieces(segment.start, segment.end, keyframes, totalDuration, canCopy && rendition.isSource);
+    const entries = [];
+    for (const [pieceIndex, piece] of pieces.entries()) {
+      const pieceDuration = piece.end - piece.start;
+      console.log(`Segment ${index}.${pieceIndex}: ${piece.start}s to ${piece.end}s (${pieceDuration}s, ${piece.copy ? 'copy' : 're-encode'})`);
+      const codecArgs = piece.copy
+        ? ['-c', 'copy']
+        : [...scaleArgs, '-c:v', 'libx264', '-preset', 'veryfast', ...bitrateArgs, '-pix_fmt', 'yuv420p', ...forceKeyFrames, '-c:a', 'aac'];
+      entries.push(...await encodeToSegments(
+        ['-ss', String(piece.start), '-i', inputPath, '-t', String(pieceDuration), '-map', '0:v:0', '-map', '0:a?', ...codecArgs],
+        renditionDir,
+        `${segment.lockType ? 'hidden' : 'segment'}_${String(index).padStart(3, '0')}_${pieceIndex}`,
+        piece.start
+      ));
+      await reportEncode();
+    }
+    sourceEntries.set(index, entries);
+  }
+  
+  // Create the normal playlist.
+  const normalEntries = allSegments.flatMap((segment, index) => sourceEntries.get(index));
+  const normalPlaylistPath = path.join(renditionDir, 'output.m3u8');
+  fs.writeFileSync(normalPlaylistPath, buildMediaPlaylist(normalEntries));
+  console.log('Generated normal M3U8 playlist:', normalPlaylistPath);
+  
+  // Silence in the source's channel layout, as an extra lavfi input, for the generated lock segments.
+  const silenceInput = audioLayout
+    ? ['-f', 'lavfi', '-i', `anullsrc=channel_layout=${audioLayout.channelLayout}:sample_rate=${audioLayout.sampleRate}`]
+    : [];
+  
+  // Generate blackout segments: black frames with silence (or no audio if the source has none).
+  for (const [index, segment] of allSegments.entries()) {
+    if (segment.lockType === 'blackout') {
+      const segDuration = segment.duration;
+      console.log(`Generating blackout segment ${index}: duration ${segDuration}s`);
+      lockEntries.set(index, await encodeToSegments(
+        [
+          '-f', 'lavfi', '-i', `color=c=black:s=${width}x${height}:r=${frameRate}`,
+          ...silenceInput,
+          '-t', String(segDuration),
+          '-c:v', 'libx264', ...bitrateArgs, '-pix_fmt', 'yuv420p', ...forceKeyFrames,
+          ...(audioLayout ? ['-c:a', 'aac'] : [])
+        ],
+        renditionDir,
+        `blackout_${String(index).padStart(3, '0')}`,
+        segment.start
+      ));
+      await reportEncode();
+    }
+  }
+  
+  // Generate replacement segments: scale/pad the clip to the rendition resolution and the source's
+  // frame rate, hold the last frame and pad audio if it is shorter than the window, then cut to length.
+  // The clip's audio is converted to the source's layout; a source without audio keeps having none.
+  for (const [index, segment] of allSegments.entries()) {
+    if (segment.lockType === 'replacement') {
+      const segDuration = segment.duration;
+      console.log(`Generating replacement segment ${index}: duration ${segDuration}s`);
+      const videoFilter = `[0:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate},` +
+        `tpad=stop_mode=clone:stop_duration=${segDuration}[v]`;
+      let filters = videoFilter;
+      let audioArgs = [];
+      if (audioLayout) {
+        filters += (await hasAudioStream(segment.localPath))
+          ? `;[0:a:0]aresample=${audioLayout.sampleRate},aformat=channel_layouts=${audioLayout.channelLayout},apad[a]`
+          : ';[1:a]anull[a]';
+        audioArgs = ['-map', '[a]', '-c:a', 'aac'];
+      }
+      lockEntries.set(index, await encodeToSegments(
+        [
+          '-i', segment.localPath,
+          ...silenceInput,
+          '-filter_complex', filters,
+          '-map', '[v]',
+          ...audioArgs,
+          '-t', String(segDuration),
+          '-c:v', 'libx264', ...bitrateArgs, '-pix_fmt', 'yuv420p', ...forceKeyFrames
+        ],
+        renditionDir,
+        `replacement_${String(index).padStart(3, '0')}`,
+        segment.start
+      ));
+      await reportEncode();
+    }
+  }
+  
+  // Generate image segments: a looped still scaled to the rendition resolution at the source's frame rate,
+  // with silent audio in the source's channel layout (or no audio if the source has none).
+  for (const [index, segment] of allSegments.entries()) {
+    if (segment.lockType === 'image') {
+      const segDuration = segment.duration;
+      console.log(`Generating image segment ${index}: duration ${segDuration}s`);
+      const videoFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p`;
+      const audioArgs = audioLayout ? ['-map', '0:v', '-map', '1:a', '-c:a', 'aac'] : ['-map', '0:v'];
+      lockEntries.set(index, await encodeToSegments(
+        [
+          '-loop', '1', '-framerate', frameRate, '-i', segment.localPath,
+          ...silenceInput,
+          ...audioArgs,
+          '-vf', videoFilter,
+          '-t', String(segDuration),
+          '-c:v', 'libx264', '-tune', 'stillimage', ...bitrateArgs, '-pix_fmt', 'yuv420p', ...forceKeyFrames
+        ],
+        renditionDir,
+        `image_${String(index).padStart(3, '0')}`,
+        segment.start
+      ));
+      await reportEncode();
+    }
+  }
+  
+  // Generate filtered segments: the original picture at the rendition's resolution with the region
+  // locks drawn over it, and the original audio or, under a mute lock, silence or a bleep in the
+  // source's channel layout (a source without audio keeps having none).
+  for (const [index, segment] of allSegments.entries()) {
+    if (segment.lockType === 'filter') {
+      const segDuration = segment.duration;
+      console.log(`Generating filtered segment ${index}: duration ${segDuration}s (mute: ${segment.muteMode || 'none'}, regions: ${segment.regions.length})`);
+      const videoArgs = segment.regions.length > 0
+        ? ['-filter_complex', buildRegionFilter(segment.regions, width, height), '-map', '[v]']
+        : [...scaleArgs, '-map', '0:v:0'];
+      let audioInput = [];
+      let audioArgs = ['-map', '0:a?', '-c:a', 'aac'];
+      if (segment.muteMode && audioLayout) {
+        audioInput = ['-f', 'lavfi', '-i', segment.muteMode === 'tone'
+          ? `sine=frequency=${MUTE_TONE_FREQUENCY}:sample_rate=${audioLayout.sampleRate},aformat=channel_layouts=${audioLayout.channelLayout}`
+          : `anullsrc=channel_layout=${audioLayout.channelLayout}:sample_rate=${audioLayout.sampleRate}`];
+        audioArgs = ['-map', '1:a', '-c:a', 'aac'];
+      } else if (segment.muteMode) {
+        audioArgs = [];
+      }
+      lockEntries.set(index, await encodeToSegments(
+        [
+          '-ss', String(segment.start), '-i', inputPath,
+          ...audioInput,
+          ...videoArgs,
+          ...audioArgs,
+          '-t', String(segDuration),
+          '-c:v', 'libx264', '-preset', 'veryfast', ...bitrateArgs, '-pix_fmt', 'yuv420p', ...forceKeyFrames
+        ],
+        renditionDir,
+        `filter_${String(index).padStart(3, '0')}`,
+        segment.start
+      ));
+      await reportEncode();
+    }
+  }
+  
+  // Create the blackout playlist. Lock spans are encoded apart from the original (and inserted images
+  // step outside the source timeline), so every switch between the two is marked as a discontinuity.
+  const blackoutEntries = [];
+  let previousLocked = null;
+  allSegments.forEach((segment, index) => {
+    const locked = Boolean(segment.lockType);
+    const entries = locked ? lockEntries.get(index) : sourceEntries.get(index);
+    if (entries.length === 0) return;
+    blackoutEntries.push(...entries.map((entry, i) => ({
+      ...entry,
+      discontinuity: i === 0 && (Boolean(segment.insert) || (previousLocked !== null && (locked || previousLocked)))
+    })));
+    previousLocked = locked;
+  });
+  const blackoutPlaylistPath = path.join(renditionDir, 'blackout.m3u8');
+  fs.writeFileSync(blackoutPlaylistPath, buildMediaPlaylist(blackoutEntries));
+  console.log('Generated blackout M3U8 playlist:', blackoutPlaylistPath);
+  
+  return {
+    normalPlaylistPath,
+    blackoutPlaylistPath,
+    normal: measureBandwidth(normalEntries, renditionDir),
+    blackout: measureBandwidth(blackoutEntries, renditionDir)
+  };
+}
+
+/**
+ * Formats seconds as a WebVTT timestamp (HH:MM:SS.mmm).
+ */
+function formatVttTimestamp(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Builds the WebVTT thumbnail track for `count` thumbnails taken every THUMBNAIL_INTERVAL seconds.
+ * Each cue points into a sprite sheet with a #xywh fragment. Cues follow the locked playback
+ * timeline: images inserted at a time ([{ start, duration }]) push later cues back and get no
+ * thumbnail of their own.
+ */
+function buildThumbnailTrack(count, totalDuration, thumbWidth, thumbHeight, inserts) {
+  const perSheet = THUMBNAIL_GRID * THUMBNAIL_GRID;
+  const insertOffset = time => inserts
+    .filter(insert => insert.start <= time)
+    .reduce((sum, insert) => sum + insert.duration, 0);
+  const track = ['WEBVTT', ''];
+  for (let index = 0; index < count; index++) {
+    const sheet = Math.floor(index / perSheet);
+    const tile = index % perSheet;
+    const x = (tile % THUMBNAIL_GRID) * thumbWidth;
+    const y = Math.floor(tile / THUMBNAIL_GRID) * thumbHeight;
+    const image = `sprite_${String(sheet).padStart(3, '0')}.jpg#xywh=${x},${y},${thumbWidth},${thumbHeight}`;
+    const start = index * THUMBNAIL_INTERVAL;
+    const end = Math.min(start + THUMBNAIL_INTERVAL, totalDuration);
+    // Split the cue wherever an image is inserted inside it.
+    const cuts = [start, ...inserts.map(insert => insert.start).filter(time => time > start && time < end), end];
+    for (let i = 0; i < cuts.length - 1; i++) {
+      track.push(
+        `${formatVttTimestamp(cuts[i] + insertOffset(cuts[i]))} --> ${formatVttTimestamp(cuts[i + 1] + insertOffset(cuts[i]))}`,
+        image,
+        ''
+      );
+    }
+  }
+  return track.join('\n');
+}
+
+/**
+ * Renders scrub-bar thumbnails of the original into workDir/thumbnails/: sprite_NNN.jpg sheets of
+ * THUMBNAIL_GRID x THUMBNAIL_GRID thumbnails and the thumbnails.vtt track that indexes them.
+ * Frames inside hiddenSpans ([{ start, end }], the windows locks hide) are painted black first,
+ * so the previews never show what the locked stream hides; so are the rectangles of regionSpans
+ * ([{ start, end, regions: [{ rects }] }], the windows region locks cover).
+ * Returns the path of the track.
+ */
+async function generateThumbnailTrack(inputPath, workDir, { totalDuration, width, height, hiddenSpans, regionSpans = [], inserts }) {
+  const thumbnailsDir = path.join(workDir, THUMBNAILS_FOLDER);
+  fs.mkdirSync(thumbnailsDir, { recursive: true });
+  const thumbWidth = THUMBNAIL_WIDTH;
+  const thumbHeight = Math.round((THUMBNAIL_WIDTH * height) / width / 2) * 2;
+  const count = Math.max(1, Math.ceil(totalDuration / THUMBNAIL_INTERVAL));
+  
+  // Blank the hidden windows on the source timeline, before fps picks the frames.
+  const filters = [
+    `scale=${thumbWidth}:${thumbHeight}`,
+    ...hiddenSpans.map(span => `drawbox=x=0:y=0:w=iw:h=ih:color=black:t=fill:enable='between(t,${span.start},${span.end})'`),
+    ...regionSpans.flatMap(span => span.regions.flatMap(region => region.rects.map(rect =>
+      `drawbox=x=iw*${rect.x}:y=ih*${rect.y}:w=iw*${rect.width}:h=ih*${rect.height}:color=black:t=fill:enable='between(t,${span.start},${span.end})'`
+    ))),
+    `fps=1/${THUMBNAIL_INTERVAL}`,
+    `tile=${THUMBNAIL_GRID}x${THUMBNAIL_GRID}`
+  ];
+  await runCommand('ffmpeg', [
+    '-y', '-i', inputPath, '-an', '-vf', filters.join(','), '-q:v', '4', '-start_number', '0',
+    path.join(thumbnailsDir, 'sprite_%03d.jpg')
+  ]);
+  
+  const trackPath = path.join(workDir, THUMBNAIL_TRACK_FILE);
+  fs.writeFileSync(trackPath, buildThumbnailTrack(count, totalDuration, thumbWidth, thumbHeight, inserts));
+  console.log('Generated thumbnail track:', trackPath);
+  return trackPath;
+}
+
+/**
+ * Parses a WebVTT timestamp ([HH:]MM:SS.mmm) into seconds; NaN if it is not one.
+ */
+function parseVttTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/.exec(value.trim());
+  if (!match) {
+    return NaN;
+  }
+  const [, hours = 0, minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * Parses the cues of a WebVTT file into [{ start, end, settings, text }], sorted by start.
+ * The header and NOTE, STYLE and REGION blocks have no timing line and are skipped.
+ */
+function parseWebVtt(content) {
+  const cues = [];
+  for (const block of content.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+    const [startPart, rest] = lines[timingIndex].split('-->');
+    const [endPart, ...settings] = rest.trim().split(/\s+/);
+    const start = parseVttTimestamp(startPart);
+    const end = parseVttTimestamp(endPart);
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+    if (isNaN(start) || isNaN(end) || end <= start || !text) continue;
+    cues.push({ start, end, settings: settings.join(' '), text });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Cues of the locked variant: every cue overlapping a hidden window ([{ start, end }]) is dropped
+ * and, when notice is set, each window gets one cue showing the notice instead.
+ */
+function suppressHiddenCues(cues, hiddenSpans, notice) {
+  const visible = cues.filter(cue => !hiddenSpans.some(span => cue.start < span.end && cue.end > span.start));
+  const notices = notice
+    ? hiddenSpans.map(span => ({ start: span.start, end: span.end, settings: '', text: notice }))
+    : [];
+  return [...visible, ...notices].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Writes a segmented WebVTT rendition into dir: `${name}_NNN.vtt` segments of about
+ * SEGMENT_TARGET_DURATION seconds of the source timeline, each repeating the cues that overlap it,
+ * and the `${name}.m3u8` media playlist. Images inserted at a time ([{ start, duration }]) get an
+ * empty segment between discontinuities, and a segment starts with a discontinuity at each of the
+ * boundaries (times where a lock span starts or ends), like in the blackout video playlists.
+ * Returns the playlist path.
+ */
+function writeCaptionRendition(dir, name, cues, totalDuration, inserts = [], boundaries = []) {
+  const entries = [];
+  const writeSegment = (segmentCues, duration, discontinuity) => {
+    const uri = `${name}_${String(entries.length).padStart(3, '0')}.vtt`;
+    const lines = ['WEBVTT', `X-TIMESTAMP-MAP=MPEGTS:${MPEGTS_START_PTS},LOCAL:00:00:00.000`, ''];
+    for (const cue of segmentCues) {
+      lines.push(
+        `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+        cue.text,
+        ''
+      );
+    }
+    fs.writeFileSync(path.join(dir, uri), lines.join('\n'));
+    entries.push({ uri, duration, discontinuity });
+  };
+  
+  const cuts = new Set([
+    0,
+    totalDuration,
+    ...[...inserts.map(insert => insert.start), ...boundaries].filter(t => t > 0 && t < totalDuration)
+  ]);
+  for (let t = SEGMENT_TARGET_DURATION; t < totalDuration; t += SEGMENT_TARGET_DURATION) {
+    cuts.add(t);
+  }
+  const points = [...cuts].sort((a, b) => a - b);
+  let discontinuity = false;
+  points.forEach((start, index) => {
+    for (const insert of inserts.filter(ins => ins.start === start)) {
+      writeSegment([], insert.duration, true);
+      discontinuity = true;
+    }
+    const end = points[index + 1];
+    if (end === undefined) return;
+    writeSegment(cues.filter(cue => cue.start < end && cue.end > start), end - start, discontinuity || boundaries.includes(start));
+    discontinuity = false;
+  });
+  
+  const playlistPath = path.join(dir, `${name}.m3u8`);
+  fs.writeFileSync(playlistPath, buildMediaPlaylist(entries));
+  return playlistPath;
+}
+
+/**
+ * Lists the source's text subtitle streams: [{ index, language, label, isDefault }].
+ */
+async function getTextSubtitleStreams(inputPath) {
+  const output = await runCommand('ffprobe', [
+    '-v', 'error', '-select_streams', 's',
+    '-show_entries', 'stream=index,codec_name:stream_tags=language,title:stream_disposition=default',
+    '-of', 'json', inputPath
+  ]);
+  return (JSON.parse(output).streams || [])
+    .filter(stream => TEXT_SUBTITLE_CODECS.includes(stream.codec_name))
+    .map(stream => {
+      const language = (stream.tags && stream.tags.language) || 'und';
+      return {
+        index: stream.index,
+        language,
+        label: (stream.tags && stream.tags.title) || language,
+        isDefault: Boolean(stream.disposition && stream.disposition.default)
+      };
+    });
+}
+
+/**
+ * Renders the caption tracks of a video into workDir/captions/<track>/: the source's embedded
+ * text subtitles, then the sidecar files ([{ localPath, source, language, label, default }]),
+ * each converted to WebVTT and written as output.m3u8 (every cue) and blackout.m3u8 (cues in
+ * hiddenSpans replaced as in suppressHiddenCues, with discontinuities at the lock boundaries).
+ * Tracks are named after their language, with -2, -3, ... for repeats.
+ * Returns [{ name, language, label, isDefault, origin: 'embedded' | 'sidecar', sourceUrl }].
+ */
+async function renderCaptionTracks(inputPath, workDir, { sidecars = [], notice, totalDuration, hiddenSpans, inserts, boundaries }) {
+  const sources = [
+    ...(await getTextSubtitleStreams(inputPath)).map(stream => ({
+      ...stream,
+      origin: 'embedded',
+      sourceUrl: null,
+      inputArgs: ['-i', inputPath, '-map', `0:${stream.index}`]
+    })),
+    ...sidecars.map(sidecar => ({
+      language: sidecar.language,
+      label: sidecar.label,
+      isDefault: Boolean(sidecar.default),
+      origin: 'sidecar',
+      sourceUrl: sidecar.source,
+      inputArgs: ['-i', sidecar.localPath, '-map', '0:s:0']
+    }))
+  ];
+  const tracks = [];
+  for (const source of sources) {
+    const baseName = source.language.replace(/[^A-Za-z0-9-]/g, '') || 'und';
+    let name = baseName;
+    for (let n = 2; tracks.some(track => track.name === name); n++) {
+      name = `${baseName}-${n}`;
+    }
+    const trackDir = path.join(workDir, CAPTIONS_FOLDER, name);
+    fs.mkdirSync(trackDir, { recursive: true });
+    const vttPath = path.join(trackDir, 'source.vtt');
+    await runCommand('ffmpeg', ['-y', ...source.inputArgs, '-c:s', 'webvtt', '-f', 'webvtt', vttPath]);
+    const cues = parseWebVtt(fs.readFileSync(vttPath, 'utf8'));
+    fs.unlinkSync(vttPath);
+    
+    writeCaptionRendition(trackDir, 'output', cues, totalDuration);
+    writeCaptionRendition(trackDir, 'blackout', suppressHiddenCues(cues, hiddenSpans, notice), totalDuration, inserts, boundaries);
+    tracks.push({
+      name,
+      language: source.language,
+      label: source.label,
+      isDefault: source.isDefault,
+      origin: source.origin,
+      sourceUrl: source.sourceUrl
+    });
+  }
+  return tracks;
+}
+
+/**
+ * Returns the parts of [start, end) that no blackout lock covers, as [{ start, end }].
+ * Slivers no longer than KEYFRAME_TOLERANCE are dropped.
+ */
+function splitAroundBlackouts(start, end, blackoutSegments) {
+  let spans = [{ start, end }];
+  for (const blackout of blackoutSegments) {
+    const cutStart = Number(blackout.startTime);
+    const cutEnd = Number(blackout.endTime);
+    spans = spans.flatMap(span => (cutStart >= span.end || cutEnd <= span.start)
+      ? [span]
+      : [{ start: span.start, end: cutStart }, { start: cutEnd, end: span.end }]);
+  }
+  return spans.filter(span => span.end - span.start > KEYFRAME_TOLERANCE);
+}
+
+/**
+ * Plans the spans where the locked variant keeps the original picture but filters it: mute locks
+ * replace the audio and region locks cover rectangles of the picture. Both may overlap each other
+ * and blackouts, so the windows are cut at every boundary and the parts under a blackout dropped.
+ * Returns [{ start, end, lockType: 'filter', muteMode (null keeps the audio), regions: [{ mode, color, rects }] }].
+ */
+function planFilteredSpans(muteSegments, regionSegments, blackoutSegments) {
+  const windows = [
+    ...muteSegments.map(seg => ({ seg, muteMode: seg.mode === 'tone' ? 'tone' : 'silence' })),
+    ...regionSegments.map(seg => ({ seg, region: { mode: seg.mode, color: seg.color || '#000000', rects: seg.regions } }))
+  ].flatMap(({ seg, ...effect }) => splitAroundBlackouts(Number(seg.startTime), Number(seg.endTime), blackoutSegments)
+    .map(span => ({ ...span, ...effect })));
+  const cuts = [...new Set(windows.flatMap(w => [w.start, w.end]))].sort((a, b) => a - b);
+  const spans = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    const [start, end] = [cuts[i], cuts[i + 1]];
+    const covering = windows.filter(w => w.start <= start && w.end >= end);
+    if (covering.length === 0 || end - start <= KEYFRAME_TOLERANCE) continue;
+    const mute = covering.find(w => w.muteMode);
+    spans.push({
+      start,
+      end,
+      lockType: 'filter',
+      muteMode: mute ? mute.muteMode : null,
+      regions: covering.filter(w => w.region).map(w => w.region)
+    });
+  }
+  return spans;
+}
+
+/**
+ * Builds the filter graph that scales [0:v:0] to width x height and blurs, pixelates or fills the
+ * rectangles of every region ([{ mode, color, rects: [{ x, y, width, height }] }], normalized to
+ * the frame) at that size. The output is labelled [v].
+ */
+function buildRegionFilter(regions, width, height) {
+  const even = value => Math.round(value / 2) * 2;
+  const graph = [`[0:v:0]scale=${width}:${height}[v0]`];
+  let label = 0;
+  for (const region of regions) {
+    for (const rect of region.rects) {
+      // At least 4x4 pixels, so the blur radius fits the chroma planes too.
+      const w = Math.min(width, Math.max(4, even(rect.width * width)));
+      const h = Math.min(height, Math.max(4, even(rect.height * height)));
+      const x = Math.min(width - w, even(rect.x * width));
+      const y = Math.min(height - h, even(rect.y * height));
+      const input = `[v${label}]`;
+      const output = `[v${++label}]`;
+      if (region.mode === 'fill') {
+        graph.push(`${input}drawbox=x=${x}:y=${y}:w=${w}:h=${h}:color=0x${region.color.slice(1)}:t=fill${output}`);
+        continue;
+      }
+      let effect;
+      if (region.mode === 'pixelate') {
+        const block = Math.max(2, Math.round(height * REGION_PIXELATE_BLOCK));
+        effect = `scale=${Math.max(1, Math.ceil(w / block))}:${Math.max(1, Math.ceil(h / block))}:flags=area,scale=${w}:${h}:flags=neighbor`;
+      } else {
+        effect = `boxblur=${Math.min(REGION_BLUR_MAX_RADIUS, Math.max(1, Math.floor(Math.min(w, h) / 4)))}:2`;
+      }
+      graph.push(
+        `${input}split[base${label}][crop${label}]`,
+        `[crop${label}]crop=${w}:${h}:${x}:${y},${effect}[masked${label}]`,
+        `[base${label}][masked${label}]overlay=${x}:${y}${output}`
+      );
+    }
+  }
+  graph.push(`[v${label}]null[v]`);
+  return graph.join(';');
+}
+
 /**
  * Convert an MP4 video to two HLS playlists (normal and blackout)
- * using provided blackout segments.
- * Returns: { normalPlaylistPath, blackoutPlaylistPath }
+ * using provided blackout segments and the other lock types in lockSegments:
+ *  - replacement: [{ startTime, endTime, localPath }] - the clip is trimmed or padded
+ *    to the window and scaled to the rendition resolution.
+ *  - image: [{ time, duration, mode, localPath }] - a still image shown for `duration`
+ *    seconds, either in place of the original ("overlay") or inserted at `time` ("insert").
+ *  - mute: [{ startTime, endTime, mode }] - the original picture with its audio replaced by
+ *    silence or, for mode "tone", a MUTE_TONE_FREQUENCY bleep.
+ *  - region: [{ startTime, endTime, mode, color?, regions }] - the original with the normalized
+ *    rectangles in regions blurred, pixelated or filled with color.
+ * Mutes and regions may overlap each other and blackouts (see planFilteredSpans); the part under a
+ * blackout is simply blacked out.
+ * Every rung of renditionLadder ([{ name, height, videoBitrate }]) that fits the source is rendered
+ * into workDir/<name>/ with its own media playlists; master.m3u8 and blackout-master.m3u8 in
+ * workDir tie them together.
+ * Unlocked spans are stream-copied between keyframes and re-encoded only around lock boundaries;
+ * every span is split into segments of about SEGMENT_TARGET_DURATION seconds.
+ * All segments and playlists are written into workDir, which must be private to this render.
+ * A scrub-bar thumbnail track (see generateThumbnailTrack) is written to workDir/thumbnails/.
+ * Embedded text subtitles and the sidecar files in captionOptions.sidecars become subtitle
+ * renditions of both master playlists (see renderCaptionTracks); captionOptions.notice replaces
+ * the captions inside lock windows in the blackout variant.
+ * onProgress({ segment, totalSegments }) is called after every ffmpeg encode.
+ * Returns: { normalPlaylistPath, blackoutPlaylistPath, mediaPlaylistPaths, thumbnailTrackPath, renditions, captions }
+ * where the first two are the master playlists.
  */
-function createM3U8WithExactSegments(inputPath, blackoutSegments) {
+async function createM3U8WithExactSegments(inputPath, workDir, blackoutSegments, lockSegments = {}, renditionLadder = ABR_LADDER, onProgress = () => {}, captionOptions = {}) {
   try {
-    const customSegments = blackoutSegments.map(seg => ({
-      start: Number(seg.startTime),
-      end: Number(seg.endTime)
-    }));
+    const replacementSegments = lockSegments.replacement || [];
+    const imageSegments = lockSegments.image || [];
+    const muteSegments = lockSegments.mute || [];
+    const regionSegments = lockSegments.region || [];
+    const customSegments = [
+      ...blackoutSegments.map(seg => ({
+        start: Number(seg.startTime),
+        end: Number(seg.endTime),
+        lockType: 'blackout'
+      })),
+      ...replacementSegments.map(seg => ({
+        start: Number(seg.startTime),
+        end: Number(seg.endTime),
+        lockType: 'replacement',
+        localPath: seg.localPath
+      })),
+      ...imageSegments.map(seg => ({
+        start: Number(seg.time),
+        end: seg.mode === 'insert' ? Number(seg.time) : Number(seg.time) + Number(seg.duration),
+        lockType: 'image',
+        insert: seg.mode === 'insert',
+        imageDuration: Number(seg.duration),
+        localPath: seg.localPath
+      })),
+      ...planFilteredSpans(muteSegments, regionSegments, blackoutSegments)
+    ];
     
     // Get video duration.
-    const durationOutput = execSync(
-      `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`
-    ).toString().trim();
+    const durationOutput = (await runCommand('ffprobe', [
+      '-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', inputPath
+    ])).trim();
     const totalDuration = parseFloat(durationOutput);
     console.log(`Video duration: ${totalDuration} seconds`);
     if (!totalDuration || isNaN(totalDuration)) {
@@ -101,91 +1132,126 @@ function createM3U8WithExactSegments(inputPath, blackoutSegments) {
     }
     
     // Get video resolution.
-    const resolutionOutput = execSync(
-      `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=s=x:p=0 "${inputPath}"`
-    ).toString().trim();
+    const resolutionOutput = (await runCommand('ffprobe', [
+      '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=width,height', '-of', 'csv=s=x:p=0', inputPath
+    ])).trim();
     console.log(`Video resolution: ${resolutionOutput}`);
+    const [width, height] = resolutionOutput.split('x').map(Number);
+    const audioLayout = await getAudioLayout(inputPath);
+    const frameRate = await getVideoFrameRate(inputPath);
+    const keyframes = await getKeyframeTimes(inputPath);
+    const canCopy = await canStreamCopyToTs(inputPath);
+    const renditions = resolveRenditions(renditionLadder, width, height);
     
-    // Build list of segments.
+    // Build list of segments. Inserted images take no time from the original,
+    // so they only appear in the blackout playlist.
     const allSegments = [];
     let currentTime = 0;
-    customSegments.sort((a, b) => a.start - b.start);
+    customSegments.sort((a, b) => a.start - b.start || Number(b.insert || false) - Number(a.insert || false));
     for (const customSeg of customSegments) {
       if (customSeg.start > currentTime) {
-        allSegments.push({ start: currentTime, end: customSeg.start, isBlackout: false });
+        allSegments.push({ start: currentTime, end: customSeg.start, duration: customSeg.start - currentTime, lockType: null });
       }
-      allSegments.push({ start: customSeg.start, end: customSeg.end, isBlackout: true });
+      allSegments.push({
+        ...customSeg,
+        duration: customSeg.insert ? customSeg.imageDuration : customSeg.end - customSeg.start
+      });
       currentTime = customSeg.end;
     }
     if (currentTime < totalDuration) {
-      allSegments.push({ start: currentTime, end: totalDuration, isBlackout: false });
+      allSegments.push({ start: currentTime, end: totalDuration, duration: totalDuration - currentTime, lockType: null });
     }
     
-    // Extract each segment as a .ts file.
-    console.log('Extracting segments:');
-    allSegments.forEach((segment, index) => {
-      const segmentPath = path.join(outputDir, `segment_${String(index).padStart(3, '0')}.ts`);
-      const segDuration = segment.end - segment.start;
-      console.log(`Segment ${index}: ${segment.start}s to ${segment.end}s (${segDuration}s)`);
-      execSync(
-        `ffmpeg -y -i "${inputPath}" -ss ${segment.start} -to ${segment.end} -c:v libx264 -c:a aac -f mpegts "${segmentPath}"`
-      );
+    // Every source piece and every lock span is one ffmpeg run per rendition, plus one for the
+    // thumbnails; report after each.
+    const totalEncodes = renditions.reduce((sum, rendition) => sum + allSegments.reduce((count, s) => {
+      const pieces = s.insert
+        ? []
+        : planSourcePieces(s.start, s.end, keyframes, totalDuration, canCopy && rendition.isSource);
+      return count + pieces.length + (s.lockType ? 1 : 0);
+    }, 0), 0) + 1;
+    let completedEncodes = 0;
+    const reportEncode = () => onProgress({ segment: ++completedEncodes, totalSegments: totalEncodes });
+    
+    // Render every rendition into its own folder.
+    const renderedRenditions = [];
+    for (const rendition of renditions) {
+      const renditionDir = path.join(workDir, rendition.name);
+      fs.mkdirSync(renditionDir, { recursive: true });
+      const output = await renderRendition(inputPath, renditionDir, allSegments, rendition, {
+        keyframes,
+        totalDuration,
+        canCopy,
+        audioLayout,
+        frameRate,
+        reportEncode
+      });
+      renderedRenditions.push({ ...rendition, ...output });
+    }
+    
+    // Spans where the locked variant hides the original picture (or parts of it), and the images inserted into it.
+    const hiddenSpans = customSegments.filter(seg => !seg.insert && seg.lockType !== 'filter');
+    const regionSpans = customSegments.filter(seg => seg.lockType === 'filter' && seg.regions.length > 0);
+    const inserts = customSegments.filter(seg => seg.insert).map(seg => ({ start: seg.start, duration: seg.imageDuration }));
+    // Times where the blackout video playlists switch between the original and a lock span.
+    const boundaries = [...new Set(customSegments.filter(seg => !seg.insert).flatMap(seg => [seg.start, seg.end]))];
+    
+    // Caption tracks, with the cues inside lock windows suppressed in the blackout variant.
+    const captions = await renderCaptionTracks(inputPath, workDir, {
+      sidecars: captionOptions.sidecars || [],
+      notice: captionOptions.notice,
+      totalDuration,
+      hiddenSpans,
+      inserts,
+      boundaries
     });
+    const subtitlesFor = playlistName => captions.map(track => ({
+      ...track,
+      uri: `${CAPTIONS_FOLDER}${track.name}/${playlistName}`
+    }));
     
-    // Create the normal playlist.
-    const maxDuration = Math.ceil(Math.max(...allSegments.map(s => s.end - s.start)));
-    const normalPlaylist = [
-      '#EXTM3U',
-      '#EXT-X-VERSION:3',
-      `#EXT-X-TARGETDURATION:${maxDuration}`,
-      '#EXT-X-MEDIA-SEQUENCE:0',
-      '#EXT-X-PLAYLIST-TYPE:VOD'
-    ];
-    allSegments.forEach((segment, index) => {
-      const segDuration = segment.end - segment.start;
-      normalPlaylist.push(`#EXTINF:${segDuration.toFixed(6)},`);
-      normalPlaylist.push(`segment_${String(index).padStart(3, '0')}.ts`);
-    });
-    normalPlaylist.push('#EXT-X-ENDLIST');
-    const normalPlaylistPath = path.join(outputDir, 'output.m3u8');
-    fs.writeFileSync(normalPlaylistPath, normalPlaylist.join('\n'));
-    console.log('Generated normal M3U8 playlist:', normalPlaylistPath);
-    
-    // Generate blackout .ts files.
-    allSegments.forEach((segment, index) => {
-      if (segment.isBlackout) {
-        const blackoutPath = path.join(outputDir, `blackout_${String(index).padStart(3, '0')}.ts`);
-        const segDuration = segment.end - segment.start;
-        console.log(`Generating blackout segment ${index}: duration ${segDuration}s`);
-        execSync(
-          `ffmpeg -y -f lavfi -i color=c=black:s=${resolutionOutput}:r=30 -f lavfi -i anullsrc=channel_layout=stereo:sample_rate=48000 -t ${segDuration} -c:v libx264 -pix_fmt yuv420p -c:a aac -shortest -f mpegts "${blackoutPath}"`
-        );
-      }
-    });
-    
-    // Create the blackout playlist.
-    const blackoutPlaylist = [
-      '#EXTM3U',
-      '#EXT-X-VERSION:3',
-      `#EXT-X-TARGETDURATION:${maxDuration}`,
-      '#EXT-X-MEDIA-SEQUENCE:0',
-      '#EXT-X-PLAYLIST-TYPE:VOD'
-    ];
-    allSegments.forEach((segment, index) => {
-      const segDuration = segment.end - segment.start;
-      blackoutPlaylist.push(`#EXTINF:${segDuration.toFixed(6)},`);
-      if (segment.isBlackout) {
-        blackoutPlaylist.push(`blackout_${String(index).padStart(3, '0')}.ts`);
-      } else {
-        blackoutPlaylist.push(`segment_${String(index).padStart(3, '0')}.ts`);
-      }
+    // Create the master playlists.
+    const normalPlaylistPath = path.join(workDir, 'master.m3u8');
+    fs.writeFileSync(normalPlaylistPath, buildMasterPlaylist(renderedRenditions.map(r => ({
+      ...r.normal,
+      width: r.width,
+      height: r.height,
+      uri: `${r.name}/output.m3u8`
+    })), subtitlesFor('output.m3u8')));
+    const blackoutPlaylistPath = path.join(workDir, 'blackout-master.m3u8');
+    fs.writeFileSync(blackoutPlaylistPath, buildMasterPlaylist(renderedRenditions.map(r => ({
+      ...r.blackout,
+      width: r.width,
+      height: r.height,
+      uri: `${r.name}/blackout.m3u8`
+    })), subtitlesFor('blackout.m3u8')));
+    console.log('Generated master playlists:', normalPlaylistPath, blackoutPlaylistPath);
+    
+    // Scrub-bar thumbnails, black wherever a lock hides the original.
+    const thumbnailTrackPath = await generateThumbnailTrack(inputPath, workDir, {
+      totalDuration,
+      width,
+      height,
+      hiddenSpans,
+      regionSpans,
+      inserts
     });
-    blackoutPlaylist.push('#EXT-X-ENDLIST');
-    const blackoutPlaylistPath = path.join(outputDir, 'blackout.m3u8');
-    fs.writeFileSync(blackoutPlaylistPath, blackoutPlaylist.join('\n'));
-    console.log('Generated blackout M3U8 playlist:', blackoutPlaylistPath);
+    await reportEncode();
     
-    return { normalPlaylistPath, blackoutPlaylistPath };
+    return {
+      normalPlaylistPath,
+      blackoutPlaylistPath,
+      mediaPlaylistPaths: renderedRenditions.flatMap(r => [r.normalPlaylistPath, r.blackoutPlaylistPath]),
+      thumbnailTrackPath,
+      renditions: renderedRenditions.map(r => ({
+        name: r.name,
+        width: r.width,
+        height: r.height,
+        videoBitrate: r.videoBitrate,
+        bandwidth: r.normal.bandwidth
+      })),
+      captions
+    };
   } catch (error) {
     console.error('Error during HLS conversion:', error.message);
     if (error.stderr) console.error(error.stderr.toString());
@@ -194,100 +1260,725 @@ function createM3U8WithExactSegments(inputPath, blackoutSegments) {
 }
 
 /**
- * Uploads all files in the output directory to S3 under the given prefix.
- * Returns a mapping from local file names to S3 URLs.
+ * Downloads the asset referenced by `sourceField` (e.g. replacementVideo, imageUrl)
+ * of every lock into the given work directory.
+ * Returns plain lock objects with a `localPath` attached, ready for createM3U8WithExactSegments.
  */
-async function uploadHlsFilesToS3(s3Client, bucketName, prefix) {
-  const files = fs.readdirSync(outputDir);
-  const fileUrlMapping = {};
-  for (const file of files) {
-    const filePath = path.join(outputDir, file);
-    const fileBuffer = fs.readFileSync(filePath);
-    let contentType = 'application/octet-stream';
-    if (file.endsWith('.m3u8')) {
-      contentType = 'application/vnd.apple.mpegurl';
-    } else if (file.endsWith('.ts')) {
-      contentType = 'video/MP2T';
-    }
-    const key = `${prefix}${file}`;
-    const url = await uploadToS3(s3Client, fileBuffer, bucketName, key, contentType);
-    fileUrlMapping[file] = url;
+async function downloadLockAssets(storage, locks, sourceField, workDir) {
+  const downloaded = [];
+  for (const lock of locks) {
+    const plainLock = typeof lock.toObject === 'function' ? lock.toObject() : lock;
+    const source = plainLock[sourceField];
+    const extension = path.extname(source.split('?')[0]) || '.bin';
+    const localPath = path.join(workDir, `${uuidv4()}${extension}`);
+    await fetchLockAsset(storage, source, localPath, LOCK_ASSET_CONTENT_TYPES[sourceField]);
+    downloaded.push({ ...plainLock, localPath });
   }
-  return fileUrlMapping;
+  return downloaded;
 }
 
 /**
- * Updates a playlist file's content by replacing local segment filenames with their corresponding S3 URLs.
+ * Probes the duration (seconds) and resolution of a stored video in place, without downloading it.
+ * Returns { duration, width, height }.
  */
-function updatePlaylistContent(playlistPath, fileUrlMapping) {
-  let content = fs.readFileSync(playlistPath, 'utf8');
-  const lines = content.split('\n').map(line => {
-    const trimmed = line.trim();
-    if (trimmed.endsWith('.ts') && fileUrlMapping[trimmed]) {
-      return fileUrlMapping[trimmed];
-    }
-    return line;
-  });
-  return lines.join('\n');
+async function probeStoredVideo(storage, key) {
+  const source = storage.localPath ? storage.localPath(key) : await storage.presign(key, 15 * 60);
+  const probe = JSON.parse(await runCommand('ffprobe', [
+    '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'format=duration:stream=width,height', '-of', 'json', source
+  ]));
+  const duration = parseFloat(probe.format && probe.format.duration);
+  if (!duration || isNaN(duration)) {
+    throw new Error('Failed to get video duration');
+  }
+  const stream = (probe.streams || [])[0] || {};
+  return { duration, width: Number(stream.width) || null, height: Number(stream.height) || null };
 }
 
 /**
- * Uploads a file buffer to S3.
+ * Probes an uploaded video file and checks that it is an MP4 with a video stream in one of
+ * INGEST_VIDEO_CODECS and, if it has audio, a first audio stream in one of INGEST_AUDIO_CODECS.
+ * Returns { errors: [ { field, message } ], duration, width, height, container, videoCodec, audioCodec }.
  */
-async function uploadToS3(s3Client, fileBuffer, bucketName, key, contentType) {
+async function probeUploadedVideo(filePath, field) {
+  let probe;
   try {
-    const uploadParams = {
-      Bucket: bucketName,
-      Key: key,
-      Body: fileBuffer,
-      ContentType: contentType,
-    };
-    const parallelUploads3 = new Upload({
-      client: s3Client,
-      params: uploadParams,
-    });
-    const result = await parallelUploads3.done();
-    return result.Location || `https://${bucketName}.s3.amazonaws.com/${key}`;
+    probe = JSON.parse(await runCommand('ffprobe', [
+      '-v', 'error', '-show_entries', 'format=format_name,duration:stream=codec_type,codec_name,width,height', '-of', 'json', filePath
+    ]));
   } catch (error) {
-    console.error("S3 upload error:", error);
-    throw error;
+    return { errors: [{ field, message: 'Is not a readable video file.' }] };
+  }
+  const errors = [];
+  const format = probe.format || {};
+  const streams = probe.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  const duration = parseFloat(format.duration);
+  if (!String(format.format_name || '').split(',').includes('mp4')) {
+    errors.push({ field, message: `Must be an MP4 file (got ${format.format_name || 'unknown'}).` });
+  }
+  if (!video) {
+    errors.push({ field, message: 'Has no video stream.' });
+  } else if (!INGEST_VIDEO_CODECS.includes(video.codec_name)) {
+    errors.push({ field, message: `Video codec ${video.codec_name} is not supported (use one of: ${INGEST_VIDEO_CODECS.join(', ')}).` });
+  }
+  if (audio && !INGEST_AUDIO_CODECS.includes(audio.codec_name)) {
+    errors.push({ field, message: `Audio codec ${audio.codec_name} is not supported (use one of: ${INGEST_AUDIO_CODECS.join(', ')}).` });
+  }
+  if (!duration || isNaN(duration)) {
+    errors.push({ field, message: 'Has no duration.' });
   }
+  return {
+    errors,
+    duration,
+    width: video ? Number(video.width) : null,
+    height: video ? Number(video.height) : null,
+    container: format.format_name || null,
+    videoCodec: video ? video.codec_name : null,
+    audioCodec: audio ? audio.codec_name : null
+  };
 }
 
-app.post('/get-video-names', async (req, res) => {
+/**
+ * Validation shared by /create-AES and /modify-AES: probes the original's duration (unless
+ * options.totalDuration is already known) and checks the rendition ladder and every lock against it.
+ * Region locks are checked against the original's resolution, so it is probed whenever there are any
+ * (unless options.resolution is already known).
+ * lists holds the complete blackout/replacement/image/mute/region lock lists the render will use.
+ * Returns { errors: [ { field, message } ], locks (normalized), totalDuration }.
+ */
+async function validateLockRequest(storage, originalKey, lists, options = {}) {
+  const { overlapPolicy = 'reject', renditions, fields } = options;
+  const errors = [];
+  const ladderError = renditions !== undefined ? validateRenditionLadder(renditions) : null;
+  if (ladderError) {
+    errors.push({ field: 'renditions', message: ladderError });
+  }
+  
+  let totalDuration = options.totalDuration;
+  let resolution = options.resolution || null;
+  if (!totalDuration || (!resolution && lists.regionLocks && lists.regionLocks.length > 0)) {
     try {
-      const { awsData } = req.body;
-      // If folderPrefix is not provided at top-level, try to get it from awsData.
-      const folderPrefix = req.body.folderPrefix || awsData.folderPrefix;
-      if (!awsData) {
-        return res.status(400).json({ message: "Missing awsData in request body." });
-      }
-      const { awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName } = awsData;
-      if (!awsAccessKeyId || !awsSecretAccessKey || !awsRegion || !awsBucketName) {
-        return res.status(400).json({ message: "Invalid or missing AWS data." });
-      }
-      if (!folderPrefix) {
+      const probe = await probeStoredVideo(storage, originalKey);
+      totalDuration = totalDuration || probe.duration;
+      resolution = probe.width && probe.height ? { width: probe.width, height: probe.height } : null;
+    } catch (error) {
+      errors.push({ field: 'awsData.awsOriginalKey', message: `Could not read the original video: ${error.message}` });
+      return { errors, locks: null, totalDuration: null };
+    }
+  }
+  
+  const result = validateLockDefinitions(lists, {
+    totalDuration,
+    resolution,
+    overlapPolicy,
+    defaultImageDuration: IMAGE_LOCK_DEFAULT_DURATION,
+    fields
+  });
+  return { errors: [...errors, ...result.errors], locks: result.locks, totalDuration };
+}
+
+/**
+ * Checks a rendition ladder from a request body: a non-empty list of rungs with unique folder-safe names
+ * that do not clash with the other folders of a render, even heights (encoders need even dimensions;
+ * widths are rounded to even in resolveRenditions) and positive bitrates.
+ * Returns an error message or null.
+ */
+function validateRenditionLadder(renditions) {
+  if (!Array.isArray(renditions) || renditions.length === 0 || !renditions.every(r =>
+    r && /^[A-Za-z0-9_-]+$/.test(String(r.name)) && Number(r.height) > 0 && Number(r.videoBitrate) > 0
+  )) {
+    return 'Must be a non-empty list of { name, height, videoBitrate }.';
+  }
+  const reserved = [CAPTIONS_FOLDER, THUMBNAILS_FOLDER, PRIVATE_FOLDER].map(folder => folder.replace(/\/$/, ''));
+  const names = new Set();
+  for (const { name, height } of renditions) {
+    if (names.has(String(name))) {
+      return `Rendition names must be unique; ${name} is used twice.`;
+    }
+    if (reserved.includes(String(name)) || /^rev-\d+$/.test(String(name))) {
+      return `Rendition name ${name} is reserved.`;
+    }
+    if (!Number.isInteger(Number(height)) || Number(height) % 2 !== 0) {
+      return `Rendition heights must be even integers; ${name} has ${height}.`;
+    }
+    names.add(String(name));
+  }
+  return null;
+}
+
+/**
+ * Maps renditions stored on a Lock (or LockRevision) back to a ladder to render with.
+ */
+function toRenditionLadder(lockRenditions) {
+  return lockRenditions.map(r => ({ name: r.Name, height: r.Height, videoBitrate: r.VideoBitrate }));
+}
+
+/**
+ * Maps rendered renditions to the shape stored on the Lock document.
+ */
+function toLockRenditions(renditions) {
+  return renditions.map(r => ({
+    Name: r.name,
+    Width: r.width,
+    Height: r.height,
+    VideoBitrate: r.videoBitrate,
+    Bandwidth: r.bandwidth
+  }));
+}
+
+/**
+ * Maps the caption tracks of a render to the shape stored on the Lock document.
+ */
+function toLockCaptions(captions) {
+  return captions.map(track => ({
+    Name: track.name,
+    Language: track.language,
+    Label: track.label,
+    Default: track.isDefault,
+    Origin: track.origin,
+    SourceUrl: track.sourceUrl
+  }));
+}
+
+/**
+ * Sidecar caption files of a lock, in the request shape renderCaptionTracks takes after download.
+ */
+function lockCaptionSidecars(lock) {
+  return (lock.Captions || [])
+    .filter(track => track.Origin === 'sidecar' && track.SourceUrl)
+    .map(track => ({ source: track.SourceUrl, language: track.Language, label: track.Label, default: track.Default }));
+}
+
+/**
+ * Lists every file below dir as paths relative to dir, using "/" separators.
+ */
+function listFilesRecursive(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.isDirectory()) {
+      return listFilesRecursive(path.join(dir, entry.name)).map(file => `${entry.name}/${file}`);
+    }
+    return [entry.name];
+  });
+}
+
+/**
+ * True for a segment of the original inside a lock window, which only the unlocked variant plays.
+ */
+function isHiddenSegment(file) {
+  return /^hidden_[^/]*\.ts$/.test(path.posix.basename(file));
+}
+
+/**
+ * True for the files of the unlocked variant viewers may only get through /playback: its playlists,
+ * the segments only it plays (see isHiddenSegment) and its caption segments, which hold the cues
+ * the locked variant suppresses.
+ */
+function isUnlockedOutput(file) {
+  return file === 'master.m3u8' ||
+    file.endsWith('/output.m3u8') ||
+    isHiddenSegment(file) ||
+    (file.startsWith(CAPTIONS_FOLDER) && /\/output_\d+\.vtt$/.test(file));
+}
+
+/**
+ * True for the files of the locked variant, the only output that may be served without a signature:
+ * its playlists, the segments it plays, its caption segments and the thumbnail track.
+ */
+function isLockedVariantFile(file) {
+  const name = path.posix.basename(file);
+  return name === 'blackout-master.m3u8' ||
+    name === 'blackout.m3u8' ||
+    /^(segment|blackout|replacement|image|filter)_[\d_]+\.ts$/.test(name) ||
+    /^blackout_\d+\.vtt$/.test(name) ||
+    name === path.posix.basename(THUMBNAIL_TRACK_FILE) ||
+    /^sprite_\d+\.jpg$/.test(name);
+}
+
+/**
+ * Uploads all files in a render's HLS directory (including rendition subfolders) to storage under the given prefix.
+ * Segments and images go first, then the thumbnail track, the media playlists and finally the
+ * top-level master playlists, each rewritten to point at the URLs of what it references. The unlocked
+ * variant's files (see isUnlockedOutput) are stored below PRIVATE_FOLDER.
+ * Returns a mapping from local relative paths (e.g. "720p/output.m3u8") to storage URLs.
+ */
+async function uploadHlsFilesToS3(storage, prefix, hlsDir) {
+  const files = listFilesRecursive(hlsDir);
+  const playlists = files.filter(file => file.endsWith('.m3u8'));
+  const mediaPlaylists = playlists.filter(file => file.includes('/'));
+  const masterPlaylists = playlists.filter(file => !file.includes('/'));
+  const tracks = files.filter(file => file.startsWith(THUMBNAILS_FOLDER) && file.endsWith('.vtt'));
+  const fileUrlMapping = {};
+  for (const file of files.filter(f => !f.endsWith('.m3u8') && !tracks.includes(f))) {
+    const fileBuffer = fs.readFileSync(path.join(hlsDir, file));
+    let contentType = 'application/octet-stream';
+    if (file.endsWith('.ts')) {
+      contentType = 'video/MP2T';
+    } else if (file.endsWith('.jpg')) {
+      contentType = 'image/jpeg';
+    } else if (file.endsWith('.vtt')) {
+      contentType = 'text/vtt';
+    }
+    const key = isUnlockedOutput(file) ? `${prefix}${PRIVATE_FOLDER}${file}` : `${prefix}${file}`;
+    const url = await uploadToS3(storage, fileBuffer, key, contentType);
+    fileUrlMapping[file] = url;
+  }
+  for (const file of tracks) {
+    const content = updateThumbnailTrackContent(path.join(hlsDir, file), fileUrlMapping, hlsDir);
+    fileUrlMapping[file] = await uploadToS3(storage, Buffer.from(content, 'utf8'), `${prefix}${file}`, 'text/vtt');
+  }
+  for (const file of [...mediaPlaylists, ...masterPlaylists]) {
+    const content = updatePlaylistContent(path.join(hlsDir, file), fileUrlMapping, hlsDir);
+    const key = isUnlockedOutput(file) ? `${prefix}${PRIVATE_FOLDER}${file}` : `${prefix}${file}`;
+    const url = await uploadToS3(
+      storage,
+      Buffer.from(content, 'utf8'),
+      key,
+      'application/vnd.apple.mpegurl'
+    );
+    fileUrlMapping[file] = url;
+  }
+  return fileUrlMapping;
+}
+
+/**
+ * Updates a playlist file's content by replacing local segment and playlist references (including
+ * the URI of #EXT-X-MEDIA subtitle entries) with their corresponding S3 URLs. References are resolved
+ * relative to the playlist, keys of fileUrlMapping relative to hlsDir.
+ */
+function updatePlaylistContent(playlistPath, fileUrlMapping, hlsDir) {
+  let content = fs.readFileSync(playlistPath, 'utf8');
+  const toUrl = reference => {
+    const relative = path.relative(hlsDir, path.join(path.dirname(playlistPath), reference)).split(path.sep).join('/');
+    return fileUrlMapping[relative];
+  };
+  const lines = content.split('\n').map(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#EXT-X-MEDIA:')) {
+      return line.replace(/URI="([^"]*)"/, (match, uri) => (toUrl(uri) ? `URI="${toUrl(uri)}"` : match));
+    }
+    if (!trimmed || trimmed.startsWith('#')) {
+      return line;
+    }
+    return toUrl(trimmed) || line;
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Rewrites the sprite references of a thumbnail track ("sprite_000.jpg#xywh=...") to their storage
+ * URLs, keeping the #xywh fragment. References are resolved like in updatePlaylistContent.
+ */
+function updateThumbnailTrackContent(trackPath, fileUrlMapping, hlsDir) {
+  const content = fs.readFileSync(trackPath, 'utf8');
+  return content.split('\n').map(line => {
+    const match = line.trim().match(/^([^#\s]+\.jpg)(#xywh=.*)$/);
+    if (!match) {
+      return line;
+    }
+    const relative = path.relative(hlsDir, path.join(path.dirname(trackPath), match[1])).split(path.sep).join('/');
+    return fileUrlMapping[relative] ? fileUrlMapping[relative] + match[2] : line;
+  }).join('\n');
+}
+
+/**
+ * Generates fresh AES-128 content keys and IVs for the given key version: Key / IV for the segments
+ * both variants play, UnlockedKey / UnlockedIV for the hidden segments only the unlocked variant plays.
+ */
+function generateEncryptionKey(version) {
+  return {
+    Version: version,
+    Key: crypto.randomBytes(16).toString('hex'),
+    IV: crypto.randomBytes(16).toString('hex'),
+    UnlockedKey: crypto.randomBytes(16).toString('hex'),
+    UnlockedIV: crypto.randomBytes(16).toString('hex'),
+    CreatedAt: new Date()
+  };
+}
+
+/**
+ * Encrypts every .ts file in a render's HLS directory (and its rendition subfolders) with AES-128-CBC
+ * (PKCS7 padding, as HLS expects): hidden segments (see isHiddenSegment) with the unlocked key, all
+ * others with the shared one. Each media playlist gets an #EXT-X-KEY line pointing at the matching
+ * key route wherever the key changes.
+ */
+function encryptHlsOutput(hlsDir, playlistPaths, lockId, encryptionKey) {
+  const keys = {
+    shared: {
+      key: Buffer.from(encryptionKey.Key, 'hex'),
+      iv: encryptionKey.IV,
+      uri: `${PUBLIC_BASE_URL}/keys/${lockId}/${encryptionKey.Version}`
+    },
+    unlocked: {
+      key: Buffer.from(encryptionKey.UnlockedKey, 'hex'),
+      iv: encryptionKey.UnlockedIV,
+      uri: `${PUBLIC_BASE_URL}/keys/${lockId}/${encryptionKey.Version}/unlocked`
+    }
+  };
+  const keyFor = file => (isHiddenSegment(file) ? keys.unlocked : keys.shared);
+  for (const file of listFilesRecursive(hlsDir)) {
+    if (!file.endsWith('.ts')) continue;
+    const filePath = path.join(hlsDir, file);
+    const { key, iv } = keyFor(file);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key, Buffer.from(iv, 'hex'));
+    const encrypted = Buffer.concat([cipher.update(fs.readFileSync(filePath)), cipher.final()]);
+    fs.writeFileSync(filePath, encrypted);
+  }
+  
+  for (const playlistPath of playlistPaths) {
+    const lines = fs.readFileSync(playlistPath, 'utf8').split('\n');
+    const output = [];
+    let pending = [];
+    let current = null;
+    // Tags of a segment (#EXTINF, #EXT-X-DISCONTINUITY) are held back until its URI shows which key it needs.
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('#EXTINF') && !trimmed.startsWith('#EXT-X-DISCONTINUITY') && pending.length === 0) {
+        output.push(line);
+        continue;
+      }
+      pending.push(line);
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      const segmentKey = keyFor(trimmed);
+      if (segmentKey !== current) {
+        output.push(`#EXT-X-KEY:METHOD=AES-128,URI="${segmentKey.uri}",IV=0x${segmentKey.iv}`);
+        current = segmentKey;
+      }
+      output.push(...pending);
+      pending = [];
+    }
+    output.push(...pending);
+    fs.writeFileSync(playlistPath, output.join('\n'));
+  }
+}
+
+/**
+ * Signs a token that lets one viewer (userId) use one variant ("locked" or "unlocked") of a lock
+ * for ttl seconds. purpose keeps key and playback tokens from standing in for each other.
+ * Format: "<variant>.<userId>.<expiresAtEpochSeconds>.<hmac>".
+ * Returns { token, expiresAt }.
+ */
+function signViewerToken(purpose, lockId, userId, variant, ttl) {
+  if (!KEY_TOKEN_SECRET) {
+    throw new Error('KEY_TOKEN_SECRET is not configured');
+  }
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const signature = crypto
+    .createHmac('sha256', KEY_TOKEN_SECRET)
+    .update(`${purpose}.${lockId}.${variant}.${userId}.${expiresAt}`)
+    .digest('hex');
+  return { token: `${variant}.${userId}.${expiresAt}.${signature}`, expiresAt: new Date(expiresAt * 1000) };
+}
+
+/**
+ * Returns the { variant, userId } a token signed by signViewerToken grants for the lock,
+ * or null if it is invalid or expired.
+ */
+function verifyViewerToken(purpose, lockId, token) {
+  const [variant, userId, expiresAt, signature] = String(token || '').split('.');
+  if (!['locked', 'unlocked'].includes(variant) || !mongoose.isValidObjectId(userId) || !signature ||
+      !KEY_TOKEN_SECRET || Number(expiresAt) * 1000 < Date.now()) {
+    return null;
+  }
+  const expected = crypto
+    .createHmac('sha256', KEY_TOKEN_SECRET)
+    .update(`${purpose}.${lockId}.${variant}.${userId}.${expiresAt}`)
+    .digest('hex');
+  return Buffer.byteLength(signature) === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ? { variant, userId }
+    : null;
+}
+
+/**
+ * Issues a token that lets the viewer fetch the content keys of one variant of a lock until it expires.
+ * Returns { token, expiresAt }.
+ */
+function issueKeyToken(lockId, userId, variant) {
+  return signViewerToken('key', lockId, userId, variant, KEY_TOKEN_TTL);
+}
+
+/**
+ * Returns the { variant, userId } of a valid, unexpired key token for the lock, taken from
+ * ?token= or an "Authorization: Bearer" header, or null.
+ */
+function verifyKeyToken(req, lock) {
+  const header = req.headers.authorization || '';
+  const token = req.query.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+  return verifyViewerToken('key', lock.LockJsonObject.lockId, token);
+}
+
+/**
+ * True if the caller may watch the lock as viewer userId: the lock belongs to the caller's platform
+ * and the viewer is a user of it (users are always themselves; the operator names one).
+ */
+async function canViewLock(req, lock, userId) {
+  if (!canAccessPlatform(req, lock.PlatformID) || !mongoose.isValidObjectId(userId)) {
+    return false;
+  }
+  if (req.auth.operator) {
+    return Boolean(await User.exists({ _id: userId, PlatformID: lock.PlatformID }));
+  }
+  return String(userId) === String(req.auth.user._id);
+}
+
+/**
+ * Issues a token for fetching the media playlists of one variant of a lock as the given viewer.
+ */
+function issuePlaybackToken(lockId, userId, variant) {
+  return signViewerToken('playback', lockId, userId, variant, PLAYBACK_URL_TTL).token;
+}
+
+/**
+ * Returns the { variant, userId } a playback token grants for the lock, or null if it is invalid or expired.
+ */
+function verifyPlaybackToken(lockId, token) {
+  return verifyViewerToken('playback', lockId, token);
+}
+
+/**
+ * Hashes an API key for storage and lookup; keys are random, so a plain SHA-256 is enough.
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Creates a new API key. Returns the plaintext key (shown to the caller once) and the record to store.
+ */
+function generateApiKey() {
+  const apiKey = `lk_${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    apiKey,
+    record: { KeyId: uuidv4(), Prefix: apiKey.slice(0, 8), Hash: hashApiKey(apiKey) }
+  };
+}
+
+/**
+ * Middleware: identifies the caller from the X-API-Key header and sets
+ * req.auth = { operator, user, platformId, role }. Responds 401 when the key is missing or unknown.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = req.get('X-API-Key');
+    if (!apiKey) {
+      return res.status(401).json({ message: "Missing X-API-Key header." });
+    }
+    if (OPERATOR_API_KEY && apiKey.length === OPERATOR_API_KEY.length &&
+        crypto.timingSafeEqual(Buffer.from(apiKey), Buffer.from(OPERATOR_API_KEY))) {
+      req.auth = { operator: true, user: null, platformId: null, role: 'Admin' };
+      return next();
+    }
+    const user = await User.findOne({
+      ApiKeys: { $elemMatch: { Hash: hashApiKey(apiKey), RevokedAt: null } },
+      Active: { $ne: false }
+    });
+    if (!user || !(await Platform.exists({ _id: user.PlatformID, Active: { $ne: false } }))) {
+      return res.status(401).json({ message: "Invalid API key." });
+    }
+    req.auth = { operator: false, user, platformId: user.PlatformID, role: user.Role };
+    return next();
+  } catch (error) {
+    console.error("Error authenticating request:", error);
+    return res.status(500).json({ message: error.message });
+  }
+}
+
+/**
+ * Middleware: only lets Admins (and the operator) through. Use after authenticate.
+ */
+function requireAdmin(req, res, next) {
+  if (req.auth.role !== 'Admin') {
+    return res.status(403).json({ message: "Admin role required." });
+  }
+  return next();
+}
+
+/**
+ * Middleware: only lets the operator through. Use after authenticate.
+ */
+function requireOperator(req, res, next) {
+  if (!req.auth.operator) {
+    return res.status(403).json({ message: "Operator key required." });
+  }
+  return next();
+}
+
+/**
+ * Returns true if the caller may act on the given platform's data.
+ */
+function canAccessPlatform(req, platformId) {
+  return req.auth.operator || String(req.auth.platformId) === String(platformId);
+}
+
+/**
+ * Middleware: 404s requests for a :platformId other than the caller's. Use after authenticate.
+ */
+function requirePlatformAccess(req, res, next) {
+  if (!canAccessPlatform(req, req.params.platformId)) {
+    return res.status(404).json({ message: "Platform not found." });
+  }
+  return next();
+}
+
+/**
+ * Platform and user a request acts as. Users act as themselves; the operator names both in the
+ * body or, for GET requests, the query string.
+ */
+function callerIdentity(req) {
+  if (req.auth.operator) {
+    const { platformId, userId } = { ...req.query, ...(req.body || {}) };
+    return { platformId: platformId || null, userId: userId || null };
+  }
+  return { platformId: req.auth.platformId, userId: req.auth.user._id };
+}
+
+/**
+ * Resolves the storage backend for a request. With a storageProfile name the credentials come from
+ * that profile of the platform; otherwise from the inline credentials in awsData.
+ * Local-disk storage is only reachable through a profile, which keeps its buckets inside the platform's folder.
+ * Returns { storage } or { error } with a message for a 400 response.
+ */
+async function resolveStorage(platformId, storageProfile, awsData) {
+  if (!storageProfile) {
+    if (awsData && awsData.storageType === 'local') {
+      return { error: "Local storage is only available through a platform storage profile." };
+    }
+    const storageError = validateAwsData(awsData || {});
+    if (storageError) {
+      return { error: storageError };
+    }
+    const endpointError = awsData.awsEndpoint ? await checkPublicUrl(awsData.awsEndpoint, 'awsEndpoint') : null;
+    if (endpointError) {
+      return { error: endpointError };
+    }
+    return { storage: createStorage(storageConfigFromAwsData(awsData), PUBLIC_BASE_URL) };
+  }
+  if (!mongoose.isValidObjectId(platformId)) {
+    return { error: "Missing or invalid platformId for storageProfile." };
+  }
+  const platform = await Platform.findById(platformId).select('+StorageProfiles.EncryptedSecret');
+  const profile = platform && findStorageProfile(platform, storageProfile);
+  if (!profile) {
+    return { error: `Unknown storage profile: ${storageProfile}` };
+  }
+  // Checked again on every use, since the endpoint's DNS answer can change after the profile was stored.
+  const endpointError = profile.Endpoint ? await checkPublicUrl(profile.Endpoint, 'Storage profile endpoint') : null;
+  if (endpointError) {
+    return { error: endpointError };
+  }
+  return {
+    storage: createStorage({ ...storageConfigFromProfile(profile), namespace: String(platform._id) }, PUBLIC_BASE_URL)
+  };
+}
+
+/**
+ * Returns the platform's active (non-revoked) storage profile with the given name.
+ */
+function findStorageProfile(platform, name) {
+  return platform.StorageProfiles.find(profile => profile.Name === name && !profile.RevokedAt);
+}
+
+/**
+ * Storage profile as returned by the API: never the secret, and only the tail of the access key id.
+ */
+function toStorageProfileResponse(profile) {
+  return {
+    Name: profile.Name,
+    Type: profile.Type,
+    Bucket: profile.Bucket,
+    Region: profile.Region,
+    Endpoint: profile.Endpoint,
+    ForcePathStyle: profile.ForcePathStyle,
+    AccessKeyId: profile.AccessKeyId ? `****${profile.AccessKeyId.slice(-4)}` : null,
+    CreatedAt: profile.CreatedAt,
+    RotatedAt: profile.RotatedAt,
+    RevokedAt: profile.RevokedAt
+  };
+}
+
+/**
+ * Returns the storage key of a lock's original video, or null if it cannot be worked out.
+ * Locks saved before OriginalKey existed only carry the original URL.
+ */
+function originalKeyForLock(lock, storage) {
+  if (lock.OriginalKey) {
+    return lock.OriginalKey;
+  }
+  const originalUrl = lock.LockJsonObject.originalcontentUrl || '';
+  return storage.keyFromUrl(originalUrl) || originalUrl.split('.amazonaws.com/')[1] || null;
+}
+
+/**
+ * Uploads a file buffer to storage and returns its URL.
+ */
+async function uploadToS3(storage, fileBuffer, key, contentType) {
+  try {
+    return await storage.upload(key, fileBuffer, contentType);
+  } catch (error) {
+    console.error("S3 upload error:", error);
+    throw error;
+  }
+}
+
+/**
+ * True if a storage prefix reaches into uploaded originals or private (unlocked) output.
+ */
+function isProtectedPrefix(prefix) {
+  const segments = prefix.split('/').filter(Boolean);
+  return `${segments.join('/')}/`.startsWith(INGEST_FOLDER) ||
+    segments.includes(PRIVATE_FOLDER.replace(/\/$/, '')) ||
+    segments.includes('..');
+}
+
+/**
+ * The folders a storage prefix lies in, itself included: "a/b/" gives ["a/", "a/b/"].
+ */
+function prefixAncestors(prefix) {
+  return prefix.split('/').filter(Boolean)
+    .map((segment, index, segments) => `${segments.slice(0, index + 1).join('/')}/`);
+}
+
+/**
+ * True if folder is, lies inside or contains the output folder of any lock other than exceptLockId
+ * (deleted ones included), so writing or deleting there would touch that lock's renders.
+ */
+async function overlapsOtherLockOutput(folder, exceptLockId = null) {
+  const normalized = `${folder.split('/').filter(Boolean).join('/')}/`;
+  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return Boolean(await Lock.exists({
+    ...(exceptLockId ? { _id: { $ne: exceptLockId } } : {}),
+    $or: [{ OutputFolder: { $in: prefixAncestors(normalized) } }, { OutputFolder: { $regex: `^${escaped}` } }]
+  }).setOptions({ withDeleted: true }));
+}
+
+/**
+ * POST /get-video-names (Admin only)
+ * Expects: { storageProfile, folderPrefix } or { awsData: { ...credentials, folderPrefix } }
+ * Lists the folders directly below folderPrefix, which may not be the originals folder or private output.
+ * Storage profiles are those of the caller's platform.
+ */
+app.post('/get-video-names', authenticate, requireAdmin, async (req, res) => {
+    try {
+      const { awsData, storageProfile } = req.body;
+      const { platformId } = callerIdentity(req);
+      if (!awsData && !storageProfile) {
+        return res.status(400).json({ message: "Missing awsData or storageProfile in request body." });
+      }
+      // If folderPrefix is not provided at top-level, try to get it from awsData.
+      const folderPrefix = req.body.folderPrefix || (awsData && awsData.folderPrefix);
+      if (!folderPrefix) {
         return res.status(400).json({ message: "Missing folderPrefix in request body." });
       }
-      const prefix = folderPrefix.endsWith('/') ? folderPrefix : folderPrefix + '/';
-      const s3Client = new S3Client({
-        region: awsRegion,
-        credentials: {
-          accessKeyId: awsAccessKeyId,
-          secretAccessKey: awsSecretAccessKey
-        }
-      });
-      const listParams = {
-        Bucket: awsBucketName,
-        Delimiter: '/',
-        Prefix: prefix
-      };
-      const command = new ListObjectsV2Command(listParams);
-      const data = await s3Client.send(command);
-      let folders = [];
-      if (data.CommonPrefixes) {
-        folders = data.CommonPrefixes.map((p) => p.Prefix);
+      if (typeof folderPrefix !== 'string' || isProtectedPrefix(folderPrefix)) {
+        return res.status(400).json({ message: "folderPrefix may not point at originals or private output." });
       }
+      const { storage, error: storageError } = await resolveStorage(platformId, storageProfile, awsData);
+      if (storageError) {
+        return res.status(400).json({ message: storageError });
+      }
+      const prefix = folderPrefix.endsWith('/') ? folderPrefix : folderPrefix + '/';
+      const { prefixes: folders } = await storage.list(prefix, { delimiter: '/' });
       return res.status(200).json({ folders });
     } catch (error) {
       console.error("Error in /get-folder-names-from-json:", error);
@@ -295,15 +1986,29 @@ app.post('/get-video-names', async (req, res) => {
     }
   });
 
+// Lock fields only Admins get back: where the original and the rendered output live in storage.
+const ADMIN_ONLY_LOCK_FIELDS = {
+  OriginalContentUrl: 0,
+  OriginalKey: 0,
+  Storage: 0,
+  StorageProfile: 0,
+  OutputFolder: 0,
+  OutputPrefix: 0,
+  'LockJsonObject.originalcontentUrl': 0
+};
+
 /**
  * GET /get-lockjsonobject/:lockId
- * Returns the LockJsonObject for the given lock id.
+ * Returns the LockJsonObject for the given lock id, if the lock belongs to the caller's platform.
+ * Only Admins get the original's URL in it.
  */
-app.get('/get-lockjsonobject/:lockId', async (req, res) => {
+app.get('/get-lockjsonobject/:lockId', authenticate, async (req, res) => {
     try {
       const { lockId } = req.params;
-      const lock = await Lock.findOne({ _id: lockId });
-      if (!lock) {
+      const lock = mongoose.isValidObjectId(lockId)
+        ? await Lock.findOne({ _id: lockId }).select(req.auth.role === 'Admin' ? {} : ADMIN_ONLY_LOCK_FIELDS)
+        : null;
+      if (!lock || !canAccessPlatform(req, lock.PlatformID)) {
         return res.status(404).json({ message: "Lock not found." });
       }
       return res.status(200).json({ lockJsonObject: lock.LockJsonObject });
@@ -313,11 +2018,20 @@ app.get('/get-lockjsonobject/:lockId', async (req, res) => {
     }
   });
   
-  app.get('/get-lock-by-contentid/:contentId', async (req, res) => {
+  /**
+   * GET /get-lock-by-contentid/:contentId
+   * Returns the caller's platform's lock for the given contentId. Only Admins get the storage
+   * details (ADMIN_ONLY_LOCK_FIELDS).
+   */
+  app.get('/get-lock-by-contentid/:contentId', authenticate, async (req, res) => {
     try {
       const { contentId } = req.params;
-      // Find the lock document using LockJsonObject.contentId field.
-      const lock = await Lock.findOne({ "LockJsonObject.contentId": contentId });
+      // Find the lock document using LockJsonObject.contentId field, within the caller's platform.
+      const query = { "LockJsonObject.contentId": contentId };
+      if (!req.auth.operator) {
+        query.PlatformID = req.auth.platformId;
+      }
+      const lock = await Lock.findOne(query).select(req.auth.role === 'Admin' ? {} : ADMIN_ONLY_LOCK_FIELDS);
       if (!lock) {
         return res.status(404).json({ message: "Lock not found." });
       }
@@ -328,434 +2042,3464 @@ app.get('/get-lockjsonobject/:lockId', async (req, res) => {
     }
   });
 
+// Lock types accepted by GET /locks?hasLockType=, mapped to their LockJsonObject.locks field.
+const LOCK_TYPE_FIELDS = {
+  blackout: 'blackout-locks',
+  replacement: 'replacement-video-locks',
+  image: 'image-locks',
+  mute: 'mute-locks',
+  region: 'region-locks'
+};
+// Sort keys accepted by GET /locks?sort=, mapped to their schema fields.
+const LOCK_SORT_FIELDS = {
+  createdAt: 'CreatedAt',
+  contentId: 'LockJsonObject.contentId'
+};
+
 /**
- * POST /create-lock-from-json
- * Expects: {
- *   awsData: { awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName, awsOriginalKey, awsDestinationFolder },
- *   platformId, userId, contentId, blackoutLocks
- * }
- * Creates a subfolder (named after contentId) inside awsDestinationFolder and uploads the processed HLS files.
- * Now also returns the generated lock id.
+ * Opaque cursor for keyset pagination: the sort value and _id of the last item of a page.
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, String(id)])).toString('base64url');
+}
+
+/**
+ * Reverses encodeCursor. Returns null for anything that is not a cursor it produced.
  */
-app.post('/create-AES', async (req, res) => {
+function decodeCursor(cursor) {
   try {
-    const {
-      awsData,
-      platformId,
-      userId,
-      contentId,
-      blackoutLocks
-    } = req.body || {};
-    
-    if (!awsData) {
-      return res.status(400).json({ message: "Missing awsData in request body." });
-    }
-    const {
-      awsAccessKeyId,
-      awsSecretAccessKey,
-      awsRegion,
-      awsBucketName,
-      awsOriginalKey,
-      awsDestinationFolder
-    } = awsData;
-    
-    if (!awsAccessKeyId || !awsSecretAccessKey) {
-      return res.status(400).json({ message: "Missing AWS credentials." });
-    }
-    if (!awsBucketName || !awsOriginalKey || !awsDestinationFolder) {
-      return res.status(400).json({ message: "Missing bucketName/originalKey/destinationFolder." });
-    }
-    if (!contentId) {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return mongoose.isValidObjectId(id) ? { value, id: new mongoose.Types.ObjectId(id) } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the Lock query for GET /locks from its query string.
+ * Returns { filter } or { error } describing the first invalid parameter.
+ */
+function buildLockListFilter(req) {
+  const { platformId, userId, contentIdPrefix, createdFrom, createdTo, hasLockType } = req.query;
+  const filter = {};
+  
+  if (platformId) {
+    if (!mongoose.isValidObjectId(platformId)) {
+      return { error: "platformId must be a valid id." };
+    }
+    if (!canAccessPlatform(req, platformId)) {
+      return { error: "Platform not found.", status: 404 };
+    }
+    filter.PlatformID = platformId;
+  } else if (!req.auth.operator) {
+    filter.PlatformID = req.auth.platformId;
+  }
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return { error: "userId must be a valid id." };
+    }
+    filter.UserID = userId;
+  }
+  if (contentIdPrefix) {
+    // Anchored so the contentId index can be used.
+    filter["LockJsonObject.contentId"] = { $regex: '^' + String(contentIdPrefix).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+  }
+  for (const [param, operator] of [['createdFrom', '$gte'], ['createdTo', '$lt']]) {
+    if (!req.query[param]) continue;
+    const date = new Date(req.query[param]);
+    if (isNaN(date.getTime())) {
+      return { error: `${param} must be a date.` };
+    }
+    filter.CreatedAt = { ...filter.CreatedAt, [operator]: date };
+  }
+  if (hasLockType) {
+    for (const type of String(hasLockType).split(',')) {
+      const field = LOCK_TYPE_FIELDS[type.trim()];
+      if (!field) {
+        return { error: `hasLockType must be one of: ${Object.keys(LOCK_TYPE_FIELDS).join(', ')}.` };
+      }
+      filter[`LockJsonObject.locks.${field}.0`] = { $exists: true };
+    }
+  }
+  return { filter };
+}
+
+/**
+ * List item for GET /locks: identifiers, lock counts and the current output URLs.
+ * normalUrl comes from the lock's current revision.
+ */
+function toLockSummary(lock, revision) {
+  const locks = lock.LockJsonObject.locks || {};
+  const lockCounts = {};
+  for (const [type, field] of Object.entries(LOCK_TYPE_FIELDS)) {
+    lockCounts[type] = (locks[field] || []).length;
+  }
+  const blackoutSeconds = (locks['blackout-locks'] || [])
+    .reduce((total, bl) => total + Math.max(0, bl.endTime - bl.startTime), 0);
+  return {
+    id: lock._id,
+    lockId: lock.LockJsonObject.lockId,
+    contentId: lock.LockJsonObject.contentId,
+    platformId: lock.PlatformID,
+    userId: lock.UserID,
+    createdAt: lock.CreatedAt,
+    duration: lock.Duration,
+    currentRevision: lock.CurrentRevision,
+    lockCounts,
+    blackoutSeconds,
+    originalContentUrl: lock.OriginalContentUrl,
+    normalUrl: revision ? revision.NormalUrl : null,
+    blackoutUrl: lock.LockedContentUrl,
+    thumbnailTrackUrl: lock.LockJsonObject.thumbnailtrackurl || null
+  };
+}
+
+/**
+ * GET /locks?platformId=&userId=&contentIdPrefix=&createdFrom=&createdTo=&hasLockType=&sort=&limit=&cursor=
+ * Lists locks with summary fields, scoped to the caller's platform (the operator sees all, or
+ * one platform with platformId). hasLockType takes a comma-separated list of blackout,
+ * replacement, image, mute and region; every listed type must be present. sort is createdAt or contentId,
+ * prefixed with - for descending (default -createdAt). Pages are cursor-based: pass the
+ * returned nextCursor as cursor, with the same filters and sort, to get the next page.
+ */
+app.get('/locks', authenticate, async (req, res) => {
+  try {
+    const { filter, error, status } = buildLockListFilter(req);
+    if (error) {
+      return res.status(status || 400).json({ message: error });
+    }
+    
+    const sortParam = String(req.query.sort || '-createdAt');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    const sortField = LOCK_SORT_FIELDS[sortParam.replace(/^-/, '')];
+    if (!sortField) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(LOCK_SORT_FIELDS).join(', ')} (optionally prefixed with -).` });
+    }
+    const { limit } = parsePagination(req.query);
+    
+    const query = { ...filter };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor." });
+      }
+      const value = sortField === 'CreatedAt' ? new Date(cursor.value) : cursor.value;
+      const operator = direction === 1 ? '$gt' : '$lt';
+      // Continue after the last item: a later sort value, or the same value and a later _id.
+      query.$and = [{
+        $or: [
+          { [sortField]: { [operator]: value } },
+          { [sortField]: value, _id: { [operator]: cursor.id } }
+        ]
+      }];
+    }
+    
+    // One extra row tells whether another page follows.
+    const rows = await Lock.find(query)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+    const locks = rows.slice(0, limit);
+    const revisions = locks.length
+      ? await LockRevision.find({ $or: locks.map(lock => ({ LockID: lock._id, Revision: lock.CurrentRevision })) })
+      : [];
+    const revisionByLock = new Map(revisions.map(revision => [String(revision.LockID), revision]));
+    
+    let nextCursor = null;
+    if (rows.length > limit) {
+      const last = locks[locks.length - 1];
+      const lastValue = sortField === 'CreatedAt' ? last.CreatedAt.toISOString() : last.LockJsonObject.contentId;
+      nextCursor = encodeCursor(lastValue, last._id);
+    }
+    return res.status(200).json({
+      locks: locks.map(lock => toLockSummary(lock, revisionByLock.get(String(lock._id)))),
+      limit,
+      nextCursor
+    });
+  } catch (error) {
+    console.error("Error in /locks:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Serves one of the raw 16-byte AES-128 keys of a lock's render: the shared key both variants play
+ * with, or (unlocked true) the key of the hidden segments only the unlocked variant plays.
+ * Requires a key token (see POST /keys/:lockId/token) as ?token= or a Bearer header; the unlocked key
+ * only for an "unlocked" token. Tokens for the unlocked variant stop working as soon as their viewer
+ * re-locks the content.
+ */
+async function sendContentKey(req, res, unlocked) {
+  const { lockId, version } = req.params;
+  const lock = await Lock.findOne({ "LockJsonObject.lockId": lockId }).select('+EncryptionKeys');
+  if (!lock) {
+    return res.status(404).json({ message: "Lock not found." });
+  }
+  const grant = verifyKeyToken(req, lock);
+  if (!grant || (unlocked && grant.variant !== 'unlocked') ||
+      (grant.variant === 'unlocked' && !(await isUnlockedFor(lock, grant.userId)))) {
+    return res.status(403).json({ message: "Not allowed to view this lock." });
+  }
+  const encryptionKey = lock.EncryptionKeys.find(k => k.Version === Number(version));
+  const key = encryptionKey && (unlocked ? encryptionKey.UnlockedKey : encryptionKey.Key);
+  if (!key) {
+    return res.status(404).json({ message: "Key not found." });
+  }
+  res.set('Content-Type', 'application/octet-stream');
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).send(Buffer.from(key, 'hex'));
+}
+
+/**
+ * GET /keys/:lockId/:version
+ * Serves the key referenced by the shared #EXT-X-KEY lines of a lock's playlists (see sendContentKey).
+ */
+app.get('/keys/:lockId/:version', async (req, res) => {
+  try {
+    return await sendContentKey(req, res, false);
+  } catch (error) {
+    console.error("Error in /keys:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /keys/:lockId/:version/unlocked
+ * Serves the key of the segments only the unlocked variant plays (see sendContentKey).
+ */
+app.get('/keys/:lockId/:version/unlocked', async (req, res) => {
+  try {
+    return await sendContentKey(req, res, true);
+  } catch (error) {
+    console.error("Error in /keys/unlocked:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /keys/:lockId/token
+ * Issues a key token for a lock owned by the caller's platform, bound to the calling viewer (the
+ * operator names userId) and to the variant they may watch: "unlocked" while they have the content
+ * unlocked, "locked" otherwise. Players attach it to key requests.
+ */
+app.post('/keys/:lockId/token', authenticate, async (req, res) => {
+  try {
+    const { lockId } = req.params;
+    const lock = await Lock.findOne({ "LockJsonObject.lockId": lockId });
+    if (!lock || !canAccessPlatform(req, lock.PlatformID)) {
+      return res.status(404).json({ message: "Lock not found." });
+    }
+    const { userId } = callerIdentity(req);
+    if (!(await canViewLock(req, lock, userId))) {
+      return res.status(400).json({ message: "Missing or invalid userId." });
+    }
+    const variant = (await isUnlockedFor(lock, userId)) ? 'unlocked' : 'locked';
+    const { token, expiresAt } = issueKeyToken(lockId, userId, variant);
+    return res.status(200).json({ token, expiresAt, variant });
+  } catch (error) {
+    console.error("Error in /keys/token:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * True if a contentId can name a storage folder: letters, digits, ".", "_" and "-", not starting with ".".
+ */
+function isValidContentId(contentId) {
+  return typeof contentId === 'string' && /^[A-Za-z0-9._-]+$/.test(contentId) && !contentId.startsWith('.');
+}
+
+/**
+ * Validation of a lock-creation request body (the contentId, lock lists, overlapPolicy, renditions, captions and
+ * captionNotice of /create-AES) against the original at originalKey. probe ({ totalDuration, resolution })
+ * skips probing the stored original when the caller already knows it.
+ * Returns { errors, locks, totalDuration, captionRequest }.
+ */
+async function validateCreateRequest(storage, originalKey, body, probe = {}) {
+  const { errors, locks, totalDuration } = await validateLockRequest(
+    storage,
+    originalKey,
+    {
+      blackoutLocks: body.blackoutLocks || [],
+      replacementLocks: body.replacementLocks || [],
+      imageLocks: body.imageLocks || [],
+      muteLocks: body.muteLocks || [],
+      regionLocks: body.regionLocks || []
+    },
+    {
+      overlapPolicy: body.overlapPolicy,
+      renditions: body.renditions,
+      totalDuration: probe.totalDuration,
+      resolution: probe.resolution
+    }
+  );
+  const captionRequest = validateCaptionRequest({ captions: body.captions, captionNotice: body.captionNotice });
+  const contentIdErrors = isValidContentId(body.contentId)
+    ? []
+    : [{ field: 'contentId', message: 'Must be letters, digits, ".", "_" or "-", not starting with ".".' }];
+  return { errors: [...contentIdErrors, ...errors, ...captionRequest.errors], locks, totalDuration, captionRequest };
+}
+
+/**
+ * Queues a create-AES job for a validated request (see validateCreateRequest).
+ * Returns { job, lockId }.
+ */
+async function queueCreateAESJob({ awsData, storageProfile, platformId, userId, contentId, renditions, locks, captionRequest, totalDuration }) {
+  const lockId = uuidv4();
+  const job = await Job.create({
+    Type: 'create-AES',
+    LockID: lockId,
+    PlatformID: platformId,
+    Payload: {
+      awsData: sealAwsData(awsData),
+      storageProfile: storageProfile || null,
+      platformId,
+      userId,
+      contentId,
+      blackoutLocks: locks.blackoutLocks,
+      replacementLocks: locks.replacementLocks,
+      imageLocks: locks.imageLocks,
+      muteLocks: locks.muteLocks,
+      regionLocks: locks.regionLocks,
+      renditions: renditions || null,
+      captions: captionRequest.captions,
+      captionNotice: captionRequest.captionNotice,
+      totalDuration
+    }
+  });
+  return { job, lockId };
+}
+
+/**
+ * POST /create-lock-from-json
+ * Expects: {
+ *   storageProfile?: name of one of the platform's storage profiles,
+ *   awsData: {
+ *     awsOriginalKey, awsDestinationFolder,
+ *     // Inline credentials, only read when no storageProfile is given:
+ *     awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName,
+ *     awsEndpoint?, awsForcePathStyle?
+ *   },
+ *   contentId, blackoutLocks,
+ *   replacementLocks: [ { startTime, endTime, replacementVideo }, ... ],
+ *   imageLocks: [ { time, imageUrl, duration?, mode?: "overlay" | "insert" }, ... ],
+ *   muteLocks?: [ { startTime, endTime, mode?: "silence" (default) | "tone" }, ... ] - keep the picture,
+ *     replace the audio; may overlap blackouts,
+ *   regionLocks?: [ { startTime, endTime, mode?: "blur" (default) | "pixelate" | "fill", color?: "#RRGGBB" (fill only),
+ *     regions: [ { x, y, width, height }, ... ] }, ... ] - rectangles normalized to 0-1 of the frame;
+ *     may overlap blackouts and mutes,
+ *   renditions?: [ { name, height, videoBitrate (kbps) }, ... ] - defaults to the ABR_LADDER setting,
+ *   overlapPolicy?: "reject" (default) | "merge" - whether overlapping blackouts are an error or joined,
+ *   captions?: [ { source, language?, label?, default? }, ... ] - SRT/WebVTT/ASS files added to the
+ *     subtitles embedded in the original,
+ *   captionNotice?: text shown instead of captions inside lock windows ("" drops them; defaults to CAPTION_LOCK_NOTICE)
+ * }
+ * replacementVideo, imageUrl and caption sources are either an object key in awsBucketName or a full http(s) URL.
+ * Invalid locks get a 400 with { message, errors: [ { field, message }, ... ] } listing every problem.
+ * Admins only. The lock is owned by the caller's platform and user; the operator key passes
+ * platformId and userId in the body instead.
+ * Validates the request and queues a create-AES job; responds 202 with the job id and the lock id
+ * the lock will be saved under. Poll GET /jobs/:id for progress and the final URLs.
+ */
+app.post('/create-AES', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const {
+      awsData,
+      storageProfile,
+      contentId,
+      renditions
+    } = req.body || {};
+    const { platformId, userId } = callerIdentity(req);
+    
+    if (!awsData) {
+      return res.status(400).json({ message: "Missing awsData in request body." });
+    }
+    if (!mongoose.isValidObjectId(platformId) || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Missing or invalid platformId/userId." });
+    }
+    const { storage, error: storageError } = await resolveStorage(platformId, storageProfile, awsData);
+    if (storageError) {
+      return res.status(400).json({ message: storageError });
+    }
+    if (!awsData.awsOriginalKey || !awsData.awsDestinationFolder) {
+      return res.status(400).json({ message: "Missing originalKey/destinationFolder." });
+    }
+    if (!contentId) {
       return res.status(400).json({ message: "Missing contentId." });
     }
     
-    const s3Client = new S3Client({
-      region: awsRegion,
-      credentials: {
-        accessKeyId: awsAccessKeyId,
-        secretAccessKey: awsSecretAccessKey
+    // Check every lock against the original before any download or render work is queued.
+    const { errors, locks, totalDuration, captionRequest } = await validateCreateRequest(storage, awsData.awsOriginalKey, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid lock definitions.", errors });
+    }
+    
+    const { job, lockId } = await queueCreateAESJob({
+      awsData,
+      storageProfile,
+      platformId,
+      userId,
+      contentId,
+      renditions,
+      locks,
+      captionRequest,
+      totalDuration
+    });
+    return res.status(202).json({
+      message: 'Lock creation queued',
+      jobId: job._id,
+      lock_id: lockId,
+      statusUrl: `/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error("Error in /create-lock-from-json:", error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * Receives the "video" file and any "captionFiles" of a multipart upload into TMP_DIR (see upload),
+ * turning multer's size and field errors into 413 / 400 responses.
+ */
+function receiveIngestUpload(req, res, next) {
+  upload.fields([
+    { name: 'video', maxCount: 1 },
+    { name: 'captionFiles', maxCount: MAX_CAPTION_UPLOADS }
+  ])(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Upload is larger than ${MAX_UPLOAD_BYTES} bytes.`
+        : `Invalid upload: ${error.message}`;
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message });
+    }
+    return next(error);
+  });
+}
+
+/**
+ * Endpoint: POST /ingest
+ * Description: Uploads an original MP4 straight into the platform's storage, so it need not be
+ * put there before /create-AES, and optionally queues the lock render for it in the same call.
+ * Accepts multipart/form-data with:
+ * {
+ *   video: the MP4 file,
+ *   captionFiles?: SRT, WebVTT or ASS files (up to MAX_CAPTION_UPLOADS), stored next to the original
+ *     under captions/; a captions entry picks one with { file: "<uploaded file name>", language?, label?, default? }
+ *     instead of a source, and files no entry picks are added as captions with the default language,
+ *   storageProfile?: name of a storage profile of the caller's platform,
+ *   awsData?: JSON - as in /create-AES (credentials are needed unless storageProfile is given),
+ *   folder?: where the original is stored - defaults to "originals/"; it gets a generated name,
+ *   render?: "true" - also queue a create-AES job for the stored original, which then needs
+ *     contentId, awsData.awsDestinationFolder (or destinationFolder) and the lock fields of
+ *     /create-AES (blackoutLocks, replacementLocks, ...), the list fields JSON-encoded
+ * }
+ * The upload is streamed to disk, probed, and rejected with a 400 (and errors) unless it is an MP4
+ * with supported codecs; when rendering, the locks are validated before anything is stored.
+ * Responds 201 with { originalKey, originalUrl, duration, resolution: { width, height },
+ * codecs: { container, video, audio }, captions: [ { file, key } ], render: { jobId, lock_id, statusUrl } | null }.
+ */
+app.post('/ingest', authenticate, requireAdmin, receiveIngestUpload, async (req, res) => {
+  const videoFile = req.files && req.files.video ? req.files.video[0] : null;
+  const captionFiles = (req.files && req.files.captionFiles) || [];
+  const uploadedPath = videoFile ? videoFile.path : null;
+  try {
+    if (!uploadedPath) {
+      return res.status(400).json({ message: "Missing video file." });
+    }
+    const { platformId, userId } = callerIdentity(req);
+    if (!mongoose.isValidObjectId(platformId) || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Missing or invalid platformId/userId." });
+    }
+    
+    // Multipart fields are strings; the structured ones arrive JSON-encoded.
+    const fields = {};
+    const errors = [];
+    const jsonFields = ['awsData', 'blackoutLocks', 'replacementLocks', 'imageLocks', 'muteLocks', 'regionLocks', 'renditions', 'captions'];
+    for (const [name, value] of Object.entries(req.body || {})) {
+      if (!jsonFields.includes(name)) {
+        fields[name] = value;
+        continue;
+      }
+      try {
+        fields[name] = JSON.parse(value);
+      } catch (error) {
+        errors.push({ field: name, message: 'Must be JSON.' });
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid upload fields.", errors });
+    }
+    const { storageProfile, contentId } = fields;
+    const render = fields.render === 'true';
+    
+    const { storage, error: storageError } = await resolveStorage(platformId, storageProfile, fields.awsData);
+    if (storageError) {
+      return res.status(400).json({ message: storageError });
+    }
+    const folder = fields.folder ? fields.folder.replace(/^\/+/, '') : INGEST_FOLDER;
+    const folderPrefix = folder.endsWith('/') ? folder : folder + '/';
+    const originalKey = `${folderPrefix}${uuidv4()}.mp4`;
+    
+    // Uploaded caption files get their storage keys up front, so the captions entries can point at them.
+    const captionUploads = captionFiles.map((file, index) => ({
+      file,
+      key: `${folderPrefix}captions/${uuidv4()}${path.extname(file.path)}`,
+      field: `captionFiles[${index}]`
+    }));
+    for (const captionUpload of captionUploads) {
+      if (!CAPTION_UPLOAD_EXTENSIONS.includes(path.extname(captionUpload.file.path))) {
+        errors.push({ field: captionUpload.field, message: `Must be one of ${CAPTION_UPLOAD_EXTENSIONS.join(', ')}.` });
+      } else if (captionUpload.file.size > MAX_CAPTION_UPLOAD_BYTES) {
+        errors.push({ field: captionUpload.field, message: `Must be at most ${MAX_CAPTION_UPLOAD_BYTES} bytes.` });
+      }
+    }
+    if (captionUploads.length > 0 && !render) {
+      errors.push({ field: 'captionFiles', message: 'Only accepted together with render=true.' });
+    }
+    if (Array.isArray(fields.captions)) {
+      fields.captions = fields.captions.map((caption, index) => {
+        if (!caption || typeof caption !== 'object' || caption.file === undefined) {
+          return caption;
+        }
+        const { file, ...rest } = caption;
+        const match = captionUploads.find(captionUpload => captionUpload.file.originalname === file);
+        if (!match) {
+          errors.push({ field: `captions[${index}].file`, message: 'Must be the name of one of the captionFiles.' });
+          return rest;
+        }
+        match.picked = true;
+        return { ...rest, source: match.key };
+      });
+    }
+    const unpicked = captionUploads
+      .filter(captionUpload => !captionUpload.picked)
+      .map(captionUpload => ({ source: captionUpload.key }));
+    if (unpicked.length > 0) {
+      fields.captions = [...(Array.isArray(fields.captions) ? fields.captions : []), ...unpicked];
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid caption files.", errors });
+    }
+    const destinationFolder = (fields.awsData && fields.awsData.awsDestinationFolder) || fields.destinationFolder;
+    if (render && (!contentId || !destinationFolder)) {
+      return res.status(400).json({ message: "Missing contentId/destinationFolder." });
+    }
+    
+    const probe = await probeUploadedVideo(uploadedPath, 'video');
+    if (probe.errors.length > 0) {
+      return res.status(400).json({ message: "Unsupported video.", errors: probe.errors });
+    }
+    
+    // Check the locks against the upload itself, before anything is stored.
+    let createRequest = null;
+    if (render) {
+      createRequest = await validateCreateRequest(storage, originalKey, fields, {
+        totalDuration: probe.duration,
+        resolution: { width: probe.width, height: probe.height }
+      });
+      if (createRequest.errors.length > 0) {
+        return res.status(400).json({ message: "Invalid lock definitions.", errors: createRequest.errors });
+      }
+    }
+    
+    const originalUrl = await storage.upload(originalKey, fs.createReadStream(uploadedPath), 'video/mp4');
+    for (const captionUpload of captionUploads) {
+      await storage.upload(captionUpload.key, fs.createReadStream(captionUpload.file.path), 'text/plain');
+    }
+    
+    let renderJob = null;
+    if (render) {
+      const { job, lockId } = await queueCreateAESJob({
+        awsData: { ...(fields.awsData || {}), awsOriginalKey: originalKey, awsDestinationFolder: destinationFolder },
+        storageProfile,
+        platformId,
+        userId,
+        contentId,
+        renditions: fields.renditions,
+        locks: createRequest.locks,
+        captionRequest: createRequest.captionRequest,
+        totalDuration: createRequest.totalDuration
+      });
+      renderJob = { jobId: job._id, lock_id: lockId, statusUrl: `/jobs/${job._id}` };
+    }
+    
+    return res.status(201).json({
+      message: render ? "Video ingested, lock creation queued" : "Video ingested",
+      originalKey,
+      originalUrl,
+      duration: probe.duration,
+      resolution: { width: probe.width, height: probe.height },
+      codecs: { container: probe.container, video: probe.videoCodec, audio: probe.audioCodec },
+      captions: captionUploads.map(captionUpload => ({ file: captionUpload.file.originalname, key: captionUpload.key })),
+      render: renderJob
+    });
+  } catch (error) {
+    console.error("Error in /ingest:", error);
+    return res.status(500).json({ message: error.message });
+  } finally {
+    for (const file of [videoFile, ...captionFiles].filter(Boolean)) {
+      fs.rmSync(file.path, { force: true });
+    }
+  }
+});
+
+/**
+ * Stores the lock's current state as revision lock.CurrentRevision.
+ * keyVersion defaults to the lock's current key; re-pointed rollbacks pass the key of the render they restore.
+ */
+async function recordLockRevision(lock, { action, rolledBackTo = null, userId, normalUrl, blackoutUrl, keyVersion }) {
+  return LockRevision.create({
+    LockID: lock._id,
+    Revision: lock.CurrentRevision,
+    Action: action,
+    RolledBackTo: rolledBackTo,
+    UserID: mongoose.isValidObjectId(userId) ? userId : null,
+    Locks: lock.toObject().LockJsonObject.locks,
+    Renditions: lock.toObject().Renditions,
+    Captions: lock.toObject().Captions,
+    OutputPrefix: lock.OutputPrefix,
+    NormalUrl: normalUrl,
+    BlackoutUrl: blackoutUrl,
+    ThumbnailTrackUrl: lock.LockJsonObject.thumbnailtrackurl || null,
+    KeyVersion: keyVersion || lock.CurrentKeyVersion
+  });
+}
+
+/**
+ * Runs a queued create-AES job: downloads the original, renders and encrypts the HLS output,
+ * uploads it to a <contentId>/<lockId>/ subfolder of awsDestinationFolder and saves the Lock.
+ * normalUrl / blackoutUrl in the result are the master playlists of the rendition ladder; normalUrl
+ * is private, so viewers use playbackUrl, which serves whichever variant they are entitled to.
+ * thumbnailTrackUrl is the WebVTT scrub-bar thumbnail track.
+ * Returns the job result: { lock_id, normalUrl, blackoutUrl, thumbnailTrackUrl, playbackUrl, renditions }.
+ * Key tokens are not part of it; viewers get theirs from POST /keys/:lockId/token or /playback.
+ */
+async function processCreateAESJob(job, reportProgress, workDir) {
+  const {
+    awsData: sealedAwsData,
+    storageProfile,
+    platformId,
+    userId,
+    contentId,
+    blackoutLocks,
+    replacementLocks,
+    imageLocks,
+    muteLocks,
+    regionLocks,
+    renditions,
+    captions,
+    captionNotice,
+    totalDuration
+  } = job.Payload;
+  const lockId = job.LockID;
+  const awsData = unsealAwsData(sealedAwsData);
+  const { awsOriginalKey, awsDestinationFolder } = awsData;
+  const { storage, error: storageError } = await resolveStorage(platformId, storageProfile, awsData);
+  if (storageError) {
+    throw new Error(storageError);
+  }
+  
+  // Download the original MP4 to local temp.
+  await reportProgress({ step: 'downloading' });
+  const localMp4Path = path.join(workDir, 'original.mp4');
+  await streamPipeline(await storage.getStream(awsOriginalKey), fs.createWriteStream(localMp4Path));
+  const hlsDir = path.join(workDir, 'hls');
+  fs.mkdirSync(hlsDir);
+  
+  // Download the clips and images referenced by replacement and image locks.
+  const replacementSegments = await downloadLockAssets(
+    storage,
+    replacementLocks,
+    'replacementVideo',
+    workDir
+  );
+  const imageSegments = await downloadLockAssets(
+    storage,
+    imageLocks,
+    'imageUrl',
+    workDir
+  );
+  const captionSidecars = await downloadLockAssets(storage, captions || [], 'source', workDir);
+  const notice = captionNotice !== null && captionNotice !== undefined ? captionNotice : CAPTION_LOCK_NOTICE;
+  
+  // Process the video into HLS playlists.
+  const { mediaPlaylistPaths, renditions: renderedRenditions, captions: renderedCaptions } = await createM3U8WithExactSegments(
+    localMp4Path,
+    hlsDir,
+    blackoutLocks,
+    { replacement: replacementSegments, image: imageSegments, mute: muteLocks || [], region: regionLocks || [] },
+    renditions || ABR_LADDER,
+    ({ segment, totalSegments }) => reportProgress({ step: 'encoding', segment, totalSegments }),
+    { sidecars: captionSidecars, notice }
+  );
+  
+  // Encrypt the segments with a key of their own.
+  await reportProgress({ step: 'encrypting' });
+  const encryptionKey = generateEncryptionKey(1);
+  encryptHlsOutput(hlsDir, mediaPlaylistPaths, lockId, encryptionKey);
+  
+  // Create a <contentId>/<lockId> subfolder inside awsDestinationFolder, so locks of the same content
+  // never share one; each render of the lock goes into a rev-N folder below it.
+  const baseFolder = awsDestinationFolder.endsWith('/') ? awsDestinationFolder : awsDestinationFolder + '/';
+  const outputFolder = `${baseFolder}${contentId}/${lockId}/`;
+  const uniqueSubfolder = `${outputFolder}rev-1/`;
+  
+  // Upload HLS files (every rendition plus the master playlists) to the unique subfolder.
+  await reportProgress({ step: 'uploading' });
+  const fileUrlMapping = await uploadHlsFilesToS3(
+    storage,
+    uniqueSubfolder,
+    hlsDir
+  );
+  const normalUrl = fileUrlMapping['master.m3u8'];
+  const blackoutUrl = fileUrlMapping['blackout-master.m3u8'];
+  const thumbnailTrackUrl = fileUrlMapping[THUMBNAIL_TRACK_FILE] || null;
+  
+  // (Optional) Save record in the database.
+  await reportProgress({ step: 'saving' });
+  const lockJsonObject = {
+    lockId,
+    originalcontentUrl: storage.urlFor(awsOriginalKey),
+    contentId,
+    lockedcontenturl: blackoutUrl,
+    thumbnailtrackurl: thumbnailTrackUrl,
+    locks: {
+      "replacement-video-locks": replacementLocks.map(lock => ({
+        vl_id: uuidv4(),
+        startTime: Number(lock.startTime),
+        endTime: Number(lock.endTime),
+        replacementVideo: lock.replacementVideo
+      })),
+      "image-locks": imageLocks.map(lock => ({
+        il_id: uuidv4(),
+        ...lock
+      })),
+      "blackout-locks": blackoutLocks.map(lock => ({
+        bl_id: uuidv4(),
+        startTime: Number(lock.startTime),
+        endTime: Number(lock.endTime)
+      })),
+      "mute-locks": (muteLocks || []).map(lock => ({
+        ml_id: uuidv4(),
+        startTime: Number(lock.startTime),
+        endTime: Number(lock.endTime),
+        mode: lock.mode
+      })),
+      "region-locks": (regionLocks || []).map(lock => ({
+        rl_id: uuidv4(),
+        ...lock
+      }))
+    }
+  };
+  
+  const newLock = new Lock({
+    PlatformID: platformId,
+    UserID: userId,
+    OriginalContentUrl: lockJsonObject.originalcontentUrl,
+    LockedContentUrl: blackoutUrl,
+    LockJsonObject: lockJsonObject,
+    EncryptionKeys: [encryptionKey],
+    CurrentKeyVersion: encryptionKey.Version,
+    Renditions: toLockRenditions(renderedRenditions),
+    Captions: toLockCaptions(renderedCaptions),
+    CaptionNotice: captionNotice !== undefined ? captionNotice : null,
+    Duration: totalDuration,
+    Storage: storage.describe(),
+    OriginalKey: awsOriginalKey,
+    OutputFolder: outputFolder,
+    OutputPrefix: uniqueSubfolder,
+    StorageProfile: storageProfile || null,
+    StorageAccess: storageProfile ? null : sealStorageAccess(awsData),
+    CurrentRevision: 1
+  });
+  await newLock.save();
+  await recordLockRevision(newLock, { action: 'create', userId, normalUrl, blackoutUrl });
+  emitWebhookEvent(platformId, 'lock.created', {
+    ...lockEventData(newLock),
+    jobId: job._id,
+    normalUrl,
+    blackoutUrl
+  });
+  
+  return {
+    lock_id: lockJsonObject.lockId,
+    normalUrl,
+    blackoutUrl,
+    thumbnailTrackUrl,
+    playbackUrl: `${PUBLIC_BASE_URL}/playback/${lockId}`,
+    renditions: renderedRenditions
+  };
+}
+
+/**
+ * POST /download-folder-from-json (Admin only)
+ * Expects: { storageProfile or awsData (inline credentials), folderPrefix, contentId? }
+ * Downloads the locked variant below folderPrefix, which must lie inside the output of one of the caller's
+ * platform's locks, into hls_output/<platformId>/<contentId>/, served at /<platformId>/<contentId>/; the operator
+ * passes platformId. contentId defaults to the last path segment of folderPrefix. Files are fetched into a scratch
+ * directory first and only swapped into place once every file has downloaded.
+ */
+app.post('/download-video', authenticate, requireAdmin, async (req, res) => {
+  let downloadDir = null;
+  try {
+    const { awsData, storageProfile, folderPrefix } = req.body || {};
+    const { platformId } = callerIdentity(req);
+    if (typeof folderPrefix !== 'string' || !folderPrefix.trim()) {
+      return res.status(400).json({ message: "Missing folderPrefix." });
+    }
+    if (!mongoose.isValidObjectId(platformId)) {
+      return res.status(400).json({ message: "Missing or invalid platformId." });
+    }
+    const contentId = req.body.contentId || folderPrefix.split('/').filter(Boolean).pop();
+    if (!isValidContentId(contentId)) {
+      return res.status(400).json({ message: "Invalid or missing contentId." });
+    }
+    if (isProtectedPrefix(folderPrefix)) {
+      return res.status(400).json({ message: "folderPrefix may not point at originals or private output." });
+    }
+    // Only the output of this platform's locks may be copied to the public folder.
+    const ancestors = prefixAncestors(folderPrefix);
+    const ownsOutput = await Lock.exists({
+      PlatformID: platformId,
+      $or: [{ OutputFolder: { $in: ancestors } }, { OutputPrefix: { $in: ancestors } }]
+    });
+    if (!ownsOutput) {
+      return res.status(404).json({ message: "No lock output of this platform at that prefix." });
+    }
+    const { storage, error: storageError } = await resolveStorage(platformId, storageProfile, awsData);
+    if (storageError) {
+      return res.status(400).json({ message: storageError });
+    }
+    
+    // List objects in the given folderPrefix.
+    const { keys } = await storage.list(folderPrefix);
+    if (keys.length === 0) {
+      return res.status(404).json({ message: "No files found in that prefix." });
+    }
+    
+    // Download each file into a scratch directory of its own.
+    downloadDir = fs.mkdtempSync(path.join(TMP_DIR, 'download-'));
+    const s3UrlPrefix = storage.urlFor(folderPrefix);
+    for (const key of keys) {
+      if (key.endsWith('/')) continue;
+      const relative = key.substring(folderPrefix.length);
+      // Only the locked variant is public; unlocked output is only served through /playback.
+      if (`/${relative}`.includes(`/${PRIVATE_FOLDER}`) || !isLockedVariantFile(relative)) continue;
+      const localFilePath = path.join(downloadDir, relative);
+      fs.mkdirSync(path.dirname(localFilePath), { recursive: true });
+      await streamPipeline(await storage.getStream(key), fs.createWriteStream(localFilePath));
+      
+      // If the file is an m3u8 playlist, remove the storage URL prefix.
+      if (localFilePath.endsWith('.m3u8')) {
+        let content = fs.readFileSync(localFilePath, 'utf-8');
+        content = content
+          .split('\n')
+          .map(line => {
+            if (line.startsWith(s3UrlPrefix)) {
+              return line.replace(s3UrlPrefix, '');
+            }
+            return line;
+          })
+          .join('\n');
+        fs.writeFileSync(localFilePath, content);
+      }
+    }
+    
+    // Swap the finished download in place of this content's previous copy; each platform has its own folder.
+    const contentDir = path.join(outputDir, String(platformId), contentId);
+    const previousDir = `${downloadDir}-previous`;
+    fs.mkdirSync(path.dirname(contentDir), { recursive: true });
+    if (fs.existsSync(contentDir)) {
+      fs.renameSync(contentDir, previousDir);
+    }
+    fs.renameSync(downloadDir, contentDir);
+    downloadDir = null;
+    fs.rmSync(previousDir, { recursive: true, force: true });
+    
+    return res.json({ message: "Folder downloaded successfully", path: `/${platformId}/${contentId}/` });
+  } catch (error) {
+    console.error("Error in /download-folder-from-json:", error);
+    return res.status(500).json({ message: error.message });
+  } finally {
+    if (downloadDir) {
+      fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+  }
+});
+
+/**
+ * POST /modify-AES
+ * Expects a JSON body with:
+ * {
+ *   lockId,
+ *   storageProfile?: name of a storage profile of the lock's platform,
+ *   awsData?: {
+ *     awsAccessKeyId,
+ *     awsSecretAccessKey,
+ *     awsRegion,
+ *     awsBucketName,
+ *     awsDestinationFolder
+ *   },
+ *   newBlackoutLocks: [ { startTime, endTime }, ... ],
+ *   newReplacementLocks: [ { startTime, endTime, replacementVideo }, ... ],
+ *   newImageLocks: [ { time, imageUrl, duration?, mode?: "overlay" | "insert" }, ... ],
+ *   newMuteLocks: [ { startTime, endTime, mode?: "silence" | "tone" }, ... ],
+ *   newRegionLocks: [ { startTime, endTime, mode?: "blur" | "pixelate" | "fill", color?, regions: [ { x, y, width, height } ] }, ... ],
+ *   renditions?: [ { name, height, videoBitrate (kbps) }, ... ] - defaults to the lock's current ladder,
+ *   overlapPolicy?: "reject" (default) | "merge",
+ *   folder?: output folder of the lock - defaults to the one it was created in; may not overlap another lock's
+ * }
+ * At least one of the new*Locks lists is required; an omitted list keeps the stored locks of that type.
+ * The resulting set of locks is validated as in /create-AES; problems come back as a 400 with errors.
+ * 
+ * This endpoint validates the request and queues a modify-AES job (responds 202 with the job id).
+ * The job fetches the existing lock record, downloads the original video from S3 (inferring the original key from the stored URL),
+ * re-processes it with the new blackout lock timings (using createM3U8WithExactSegments),
+ * encrypts it with a freshly rotated key (older key versions stay available),
+ * uploads the new HLS files to a new rev-N folder, and only then switches the lock record over to the new
+ * locks and URLs. The previous render is deleted after OUTPUT_GC_GRACE_SECONDS; a failed job leaves it
+ * and the lock record untouched.
+ */
+app.post('/modify-AES', authenticate, requireAdmin, async (req, res) => {
+    try {
+      // Expect awsData or storageProfile, lockId, newBlackoutLocks and folder in the payload.
+      const {
+        awsData,
+        storageProfile,
+        lockId,
+        newBlackoutLocks,
+        newReplacementLocks,
+        newImageLocks,
+        newMuteLocks,
+        newRegionLocks,
+        renditions,
+        overlapPolicy,
+        folder
+      } = req.body;
+      console.log("Lock ID:", lockId);
+      if ((!awsData && !storageProfile) || !lockId || (!newBlackoutLocks && !newReplacementLocks && !newImageLocks && !newMuteLocks && !newRegionLocks)) {
+        return res.status(400).json({ message: "Missing required fields." });
+      }
+      
+      // Find the lock document using lockId; other platforms' locks are reported as missing.
+      const lock = mongoose.isValidObjectId(lockId) ? await Lock.findOne({ _id: lockId }) : null;
+      if (!lock || !canAccessPlatform(req, lock.PlatformID)) {
+        return res.status(404).json({ message: "Lock not found." });
+      }
+      if (!folder && !lock.OutputFolder) {
+        return res.status(400).json({ message: "Missing folder." });
+      }
+      if (folder && (typeof folder !== 'string' || isProtectedPrefix(folder) ||
+          await overlapsOtherLockOutput(folder, lock._id))) {
+        return res.status(400).json({ message: "folder may not overlap originals, private output or another lock's output." });
+      }
+      
+      // Storage profiles are looked up on the platform that owns the lock.
+      const { storage, error: storageError } = await resolveStorage(lock.PlatformID, storageProfile, awsData);
+      if (storageError) {
+        return res.status(400).json({ message: storageError });
+      }
+      
+      // The original video is re-rendered, so its key must be known.
+      const originalKey = originalKeyForLock(lock, storage);
+      if (!originalKey) {
+        return res.status(500).json({ message: "Invalid original content URL." });
+      }
+      
+      // Validate the locks the render will use: the new ones, and the stored ones of any type not sent.
+      const storedLocks = lock.LockJsonObject.locks;
+      const { errors, locks } = await validateLockRequest(
+        storage,
+        originalKey,
+        {
+          blackoutLocks: newBlackoutLocks || storedLocks["blackout-locks"],
+          replacementLocks: newReplacementLocks || storedLocks["replacement-video-locks"],
+          imageLocks: newImageLocks || storedLocks["image-locks"],
+          muteLocks: newMuteLocks || storedLocks["mute-locks"] || [],
+          regionLocks: newRegionLocks || storedLocks["region-locks"] || []
+        },
+        {
+          overlapPolicy,
+          renditions,
+          totalDuration: lock.Duration,
+          fields: {
+            blackout: newBlackoutLocks ? 'newBlackoutLocks' : 'blackout-locks',
+            replacement: newReplacementLocks ? 'newReplacementLocks' : 'replacement-video-locks',
+            image: newImageLocks ? 'newImageLocks' : 'image-locks',
+            mute: newMuteLocks ? 'newMuteLocks' : 'mute-locks',
+            region: newRegionLocks ? 'newRegionLocks' : 'region-locks'
+          }
+        }
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({ message: "Invalid lock definitions.", errors });
+      }
+      
+      const job = await Job.create({
+        Type: 'modify-AES',
+        LockID: lock.LockJsonObject.lockId,
+        PlatformID: lock.PlatformID,
+        Payload: {
+          awsData: sealAwsData(awsData),
+          storageProfile: storageProfile || null,
+          userId: callerIdentity(req).userId,
+          lockId,
+          newBlackoutLocks: newBlackoutLocks ? locks.blackoutLocks : null,
+          newReplacementLocks: newReplacementLocks ? locks.replacementLocks : null,
+          newImageLocks: newImageLocks ? locks.imageLocks : null,
+          newMuteLocks: newMuteLocks ? locks.muteLocks : null,
+          newRegionLocks: newRegionLocks ? locks.regionLocks : null,
+          renditions: renditions || null,
+          folder: folder || lock.OutputFolder
+        }
+      });
+      
+      return res.status(202).json({
+        message: "Lock modification queued",
+        jobId: job._id,
+        lock_id: lock.LockJsonObject.lockId,
+        statusUrl: `/jobs/${job._id}`
+      });
+    } catch (error) {
+      console.error("Error in /modify-AES:", error);
+      return res.status(500).json({ message: error.message });
+    }
+  });
+
+/**
+ * Runs a queued modify-AES job: re-renders the original with the new locks, rotates the key,
+ * uploads the render next to the current one, switches the lock record over and schedules the
+ * old render's cleanup.
+ * The thumbnail track and the captions (embedded ones plus the lock's sidecar files) are regenerated
+ * with the new locks.
+ * Returns the job result: { lock, normalUrl, blackoutUrl, thumbnailTrackUrl, playbackUrl, renditions }.
+ */
+async function processModifyAESJob(job, reportProgress, workDir) {
+  const {
+    awsData: sealedAwsData,
+    storageProfile,
+    userId,
+    lockId,
+    newBlackoutLocks,
+    newReplacementLocks,
+    newImageLocks,
+    newMuteLocks,
+    newRegionLocks,
+    renditions,
+    folder,
+    rollbackTo
+  } = job.Payload;
+  const awsData = unsealAwsData(sealedAwsData);
+  
+  const lock = await Lock.findOne({ _id: lockId }).select('+EncryptionKeys');
+  if (!lock) {
+    throw new Error("Lock not found.");
+  }
+  const { storage, error: storageError } = await resolveStorage(lock.PlatformID, storageProfile, awsData);
+  if (storageError) {
+    throw new Error(storageError);
+  }
+  const awsOriginalKey = originalKeyForLock(lock, storage);
+  
+  // Download the original MP4 to a local temporary file.
+  await reportProgress({ step: 'downloading' });
+  const localMp4Path = path.join(workDir, 'original.mp4');
+  await streamPipeline(await storage.getStream(awsOriginalKey), fs.createWriteStream(localMp4Path));
+  const hlsDir = path.join(workDir, 'hls');
+  fs.mkdirSync(hlsDir);
+  
+  // Fall back to the stored locks for any type the client did not send.
+  const blackoutLocks = newBlackoutLocks || lock.LockJsonObject.locks["blackout-locks"];
+  const replacementLocks = newReplacementLocks || lock.LockJsonObject.locks["replacement-video-locks"];
+  const imageLocks = newImageLocks || lock.LockJsonObject.locks["image-locks"];
+  const muteLocks = newMuteLocks || lock.LockJsonObject.locks["mute-locks"] || [];
+  const regionLocks = newRegionLocks || lock.LockJsonObject.locks["region-locks"] || [];
+  const replacementSegments = await downloadLockAssets(storage, replacementLocks, 'replacementVideo', workDir);
+  const imageSegments = await downloadLockAssets(storage, imageLocks, 'imageUrl', workDir);
+  const captionSidecars = await downloadLockAssets(storage, lockCaptionSidecars(lock), 'source', workDir);
+  
+  // Process the video into new HLS playlists using the new locks.
+  // Regenerate every rendition, keeping the lock's ladder unless the client sent a new one.
+  const renditionLadder = renditions || (lock.Renditions.length ? toRenditionLadder(lock.Renditions) : ABR_LADDER);
+  const { mediaPlaylistPaths, renditions: renderedRenditions, captions: renderedCaptions } = await createM3U8WithExactSegments(
+    localMp4Path,
+    hlsDir,
+    blackoutLocks,
+    { replacement: replacementSegments, image: imageSegments, mute: muteLocks, region: regionLocks },
+    renditionLadder,
+    ({ segment, totalSegments }) => reportProgress({ step: 'encoding', segment, totalSegments }),
+    { sidecars: captionSidecars, notice: lock.CaptionNotice !== null ? lock.CaptionNotice : CAPTION_LOCK_NOTICE }
+  );
+  
+  // Rotate the content key and encrypt the new segments with it.
+  await reportProgress({ step: 'encrypting' });
+  const encryptionKey = generateEncryptionKey((lock.CurrentKeyVersion || 0) + 1);
+  encryptHlsOutput(hlsDir, mediaPlaylistPaths, lock.LockJsonObject.lockId, encryptionKey);
+  
+  // The folder provided by the client (or the lock's own) holds one subfolder per render,
+  // e.g., "AES-videos/first-json-show-videos/rev-3/". The current output stays in place while
+  // the new one uploads, so viewers keep playing and a failed upload leaves it intact.
+  const outputFolder = folder.endsWith('/') ? folder : folder + '/';
+  const revision = (lock.CurrentRevision || 1) + 1;
+  const uniqueSubfolder = `${outputFolder}rev-${revision}/`;
+  const previousPrefix = lock.OutputPrefix || outputFolder;
+  
+  await reportProgress({ step: 'uploading' });
+  let normalUrl;
+  let blackoutUrl;
+  let thumbnailTrackUrl;
+  try {
+    // Upload new HLS files; the playlists are rewritten to point at their storage URLs.
+    const fileUrlMapping = await uploadHlsFilesToS3(storage, uniqueSubfolder, hlsDir);
+    normalUrl = fileUrlMapping['master.m3u8'];
+    blackoutUrl = fileUrlMapping['blackout-master.m3u8'];
+    thumbnailTrackUrl = fileUrlMapping[THUMBNAIL_TRACK_FILE] || null;
+    
+    // Update the lock document, switching it over to the new output.
+    await reportProgress({ step: 'saving' });
+    // Map the new locks to include a new id for each.
+    if (newBlackoutLocks) {
+      lock.LockJsonObject.locks["blackout-locks"] = newBlackoutLocks.map(b => ({
+        bl_id: uuidv4(),
+        startTime: Number(b.startTime),
+        endTime: Number(b.endTime)
+      }));
+    }
+    if (newReplacementLocks) {
+      lock.LockJsonObject.locks["replacement-video-locks"] = newReplacementLocks.map(r => ({
+        vl_id: uuidv4(),
+        startTime: Number(r.startTime),
+        endTime: Number(r.endTime),
+        replacementVideo: r.replacementVideo
+      }));
+    }
+    if (newImageLocks) {
+      lock.LockJsonObject.locks["image-locks"] = imageLocks.map(i => ({
+        il_id: uuidv4(),
+        ...i
+      }));
+    }
+    if (newMuteLocks) {
+      lock.LockJsonObject.locks["mute-locks"] = newMuteLocks.map(m => ({
+        ml_id: uuidv4(),
+        startTime: Number(m.startTime),
+        endTime: Number(m.endTime),
+        mode: m.mode
+      }));
+    }
+    if (newRegionLocks) {
+      lock.LockJsonObject.locks["region-locks"] = newRegionLocks.map(r => ({
+        rl_id: uuidv4(),
+        ...r
+      }));
+    }
+    lock.LockJsonObject.lockedcontenturl = blackoutUrl;
+    lock.LockJsonObject.thumbnailtrackurl = thumbnailTrackUrl;
+    lock.EncryptionKeys.push(encryptionKey);
+    lock.CurrentKeyVersion = encryptionKey.Version;
+    lock.Renditions = toLockRenditions(renderedRenditions);
+    lock.Captions = toLockCaptions(renderedCaptions);
+    lock.Storage = storage.describe();
+    lock.OriginalKey = awsOriginalKey;
+    lock.OutputFolder = outputFolder;
+    lock.OutputPrefix = uniqueSubfolder;
+    lock.StorageProfile = storageProfile || null;
+    lock.StorageAccess = storageProfile ? null : sealStorageAccess(awsData);
+    lock.CurrentRevision = revision;
+    await lock.save();
+  } catch (error) {
+    // Leave no half-uploaded render behind; the lock still points at the previous output.
+    const { keys: partialKeys } = await storage.list(uniqueSubfolder).catch(() => ({ keys: [] }));
+    await storage.deleteMany(partialKeys).catch(() => {});
+    throw error;
+  }
+  await scheduleOutputCleanup(lock, previousPrefix, { storageProfile, awsData });
+  await recordLockRevision(lock, {
+    action: rollbackTo ? 'rollback' : 'modify',
+    rolledBackTo: rollbackTo || null,
+    userId,
+    normalUrl,
+    blackoutUrl
+  });
+  emitWebhookEvent(lock.PlatformID, 'lock.modified', {
+    ...lockEventData(lock),
+    action: rollbackTo ? 'rollback' : 'modify',
+    jobId: job._id,
+    normalUrl,
+    blackoutUrl
+  });
+  
+  const lockResponse = lock.toObject();
+  delete lockResponse.EncryptionKeys;
+  delete lockResponse.StorageAccess;
+  return {
+    lock: lockResponse,
+    normalUrl,
+    blackoutUrl,
+    thumbnailTrackUrl,
+    playbackUrl: `${PUBLIC_BASE_URL}/playback/${lock.LockJsonObject.lockId}`,
+    renditions: renderedRenditions
+  };
+}
+
+/**
+ * True while a modify or rollback render of the lock is queued or running. Such a render writes new
+ * output and updates the lock when it finishes, so the lock may not be deleted or rolled back meanwhile.
+ */
+async function hasPendingRender(lock) {
+  return Boolean(await Job.exists({
+    Type: 'modify-AES',
+    LockID: lock.LockJsonObject.lockId,
+    Status: { $in: ['queued', 'running'] }
+  }));
+}
+
+/**
+ * POST /delete-folder-from-json
+ * Expects a JSON body with:
+ * {
+ *   storageProfile?: name of a storage profile of the lock's platform,
+ *   awsData?: { awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName, awsEndpoint?, folderPrefix? },
+ *   folderPrefix?,
+ *   lockId,
+ *   purge?: true to remove the lock's records instead of soft-deleting them
+ * }
+ * Looks up the lock using lockId and deletes its output folder (every render of it) from storage.
+ * Locks without a stored output folder fall back to folderPrefix + contentId + '/'. A folder that holds
+ * another lock's output too (older locks of the same content shared one) is left in place (outputKept).
+ * Once every object is gone the lock and its quota records are soft-deleted (DeletedAt set);
+ * purge removes them together with the lock's revisions and jobs, and also applies to locks
+ * that were already soft-deleted. If some objects could not be deleted, responds 207 with
+ * the failures and leaves the lock in place so the request can be retried. Responds 409 while a render
+ * of the lock is queued or running.
+ */
+app.post('/delete-AES', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { awsData, storageProfile, lockId } = req.body;
+    const purge = req.body.purge === true || req.query.purge === 'true';
+    if ((!awsData && !storageProfile) || !lockId) {
+      return res.status(400).json({ message: "Missing awsData/storageProfile or lockId in request body." });
+    }
+    const folderPrefix = req.body.folderPrefix || (awsData && awsData.folderPrefix);
+    
+    // Find the lock document using the provided lockId; a purge may target a soft-deleted one.
+    const lock = await Lock.findOne({ "LockJsonObject.lockId": lockId }).setOptions({ withDeleted: purge });
+    if (!lock || !canAccessPlatform(req, lock.PlatformID)) {
+      return res.status(404).json({ message: "Lock not found." });
+    }
+    if (await hasPendingRender(lock)) {
+      return res.status(409).json({ message: "A render of this lock is queued or running; delete it once it has finished." });
+    }
+    const contentId = lock.LockJsonObject.contentId;
+    if (!contentId) {
+      return res.status(400).json({ message: "Content ID not found in lock document." });
+    }
+    
+    // Locks record where their output went; older ones need folderPrefix to rebuild the key.
+    let folderToDelete = lock.OutputFolder || lock.OutputPrefix;
+    if (!folderToDelete) {
+      if (typeof folderPrefix !== 'string' || !folderPrefix) {
+        return res.status(400).json({ message: "Missing folderPrefix." });
+      }
+      const normalizedPrefix = folderPrefix.endsWith('/') ? folderPrefix : folderPrefix + '/';
+      folderToDelete = normalizedPrefix + contentId + '/';
+    }
+    if (isProtectedPrefix(folderToDelete)) {
+      return res.status(400).json({ message: "The lock's output folder may not be the originals folder or private output." });
+    }
+    
+    // List objects in the folder. Older locks of the same content could share one; its files then stay.
+    const { storage, error: storageError } = await resolveStorage(lock.PlatformID, storageProfile, awsData);
+    if (storageError) {
+      return res.status(400).json({ message: storageError });
+    }
+    const sharedFolder = await overlapsOtherLockOutput(folderToDelete, lock._id);
+    const { keys } = sharedFolder ? { keys: [] } : await storage.list(folderToDelete);
+    const deleteResult = await storage.deleteMany(keys);
+    if (deleteResult.errors.length > 0) {
+      return res.status(207).json({
+        message: "Some objects could not be deleted; the lock was kept so the request can be retried.",
+        deleted: deleteResult.deleted.length,
+        failed: deleteResult.errors
+      });
+    }
+    
+    // Replaced renders were under the deleted folder too; drop their pending cleanups.
+    await Job.deleteMany({ Type: 'gc-output', Status: 'queued', 'Payload.lockId': lock._id });
+    
+    // Unlocks of deleted locks no longer count against the users' quotas.
+    const unlocks = await Quota.find({ LockID: lock._id, LockAction: 'Unlock' });
+    if (purge) {
+      const [quotas, revisions, jobs] = await Promise.all([
+        Quota.deleteMany({ LockID: lock._id }),
+        LockRevision.deleteMany({ LockID: lock._id }),
+        Job.deleteMany({ LockID: lock.LockJsonObject.lockId, Status: { $ne: 'running' } })
+      ]);
+      await releaseUnlocks(lock.PlatformID, unlocks);
+      await lock.deleteOne();
+      emitWebhookEvent(lock.PlatformID, 'lock.deleted', { ...lockEventData(lock), purged: true });
+      return res.status(200).json({
+        message: "Lock purged",
+        deleted: deleteResult.deleted.length,
+        outputKept: sharedFolder,
+        purged: {
+          quotas: quotas.deletedCount,
+          revisions: revisions.deletedCount,
+          jobs: jobs.deletedCount
+        }
+      });
+    }
+    
+    const deletedAt = new Date();
+    lock.DeletedAt = deletedAt;
+    await lock.save();
+    const quotas = await Quota.updateMany({ LockID: lock._id, DeletedAt: null }, { $set: { DeletedAt: deletedAt } });
+    await releaseUnlocks(lock.PlatformID, unlocks);
+    emitWebhookEvent(lock.PlatformID, 'lock.deleted', { ...lockEventData(lock), purged: false });
+    
+    return res.status(200).json({
+      message: "Lock deleted",
+      deleted: deleteResult.deleted.length,
+      outputKept: sharedFolder,
+      quotasDeleted: quotas.modifiedCount
+    });
+  } catch (error) {
+    console.error("Error in /delete-folder-from-json:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Request body fields accepted by the Platform and User routes, mapped to their schema fields.
+const PLATFORM_FIELDS = {
+  platformId: 'PlatformID',
+  platformName: 'PlatformName',
+  platformType: 'PlatformType',
+  emailId: 'EmailID',
+  address: 'Address',
+  description: 'Description'
+};
+const USER_FIELDS = {
+  userId: 'UserID',
+  name: 'Name',
+  role: 'Role',
+  emailId: 'EmailID',
+  gender: 'Gender',
+  phone: 'Phone',
+  userDescription: 'UserDescription'
+};
+
+/**
+ * Copies the request fields listed in fieldMap that are present in body onto their schema names.
+ */
+function pickFields(body, fieldMap) {
+  const fields = {};
+  for (const [bodyField, schemaField] of Object.entries(fieldMap)) {
+    if (body[bodyField] !== undefined) {
+      fields[schemaField] = body[bodyField];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Reads ?page= and ?limit= (1-based, at most 100 per page).
+ */
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Message for a Mongo duplicate key error (code 11000), naming the clashing field.
+ */
+function duplicateKeyMessage(error) {
+  const field = Object.keys(error.keyValue || error.keyPattern || {})[0] || 'value';
+  return `A record with this ${field} already exists.`;
+}
+
+/**
+ * Platform as returned by the API, with storage profiles stripped of their credentials.
+ */
+function toPlatformResponse(platform) {
+  const platformResponse = platform.toObject();
+  platformResponse.StorageProfiles = platform.StorageProfiles.map(toStorageProfileResponse);
+  return platformResponse;
+}
+
+/**
+ * POST /platforms
+ * Expects: { platformId, platformName, platformType, emailId, address?, description? }
+ * Onboards a platform. Operator only; the platform's first Admin is then added with POST /platforms/:platformId/users.
+ */
+app.post('/platforms', authenticate, requireOperator, async (req, res) => {
+  try {
+    const fields = pickFields(req.body || {}, PLATFORM_FIELDS);
+    if (!fields.PlatformID || !fields.PlatformName || !fields.PlatformType || !fields.EmailID) {
+      return res.status(400).json({ message: "Missing platformId/platformName/platformType/emailId." });
+    }
+    const platform = await Platform.create(fields);
+    return res.status(201).json({ message: "Platform created", platform: toPlatformResponse(platform) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: duplicateKeyMessage(error) });
+    }
+    console.error("Error in /platforms:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /platforms?page=&limit=&active=
+ * Paginated list of all platforms. Operator only.
+ */
+app.get('/platforms', authenticate, requireOperator, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.Active = req.query.active === 'false' ? false : { $ne: false };
+    }
+    const [platforms, total] = await Promise.all([
+      Platform.find(query).sort({ CreatedAt: 1 }).skip(skip).limit(limit),
+      Platform.countDocuments(query)
+    ]);
+    return res.status(200).json({ platforms: platforms.map(toPlatformResponse), page, limit, total });
+  } catch (error) {
+    console.error("Error in /platforms:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /platforms/:platformId
+ * Returns the caller's platform (any platform for the operator).
+ */
+app.get('/platforms/:platformId', authenticate, requirePlatformAccess, async (req, res) => {
+  try {
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    return res.status(200).json({ platform: toPlatformResponse(platform) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * PATCH /platforms/:platformId
+ * Expects any of: {
+ *   platformId, platformName, platformType, emailId, address, description, active,
+ *   quotaPolicy: { unlocksPerPeriod?, period?: "day" | "week" | "month", unlocksPerContent? }
+ * }
+ * Admins may update their own platform's details and quota policy; only the operator may change `active`.
+ * Quota limits are non-negative integers, or null for unlimited.
+ */
+app.patch('/platforms/:platformId', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const fields = pickFields(req.body || {}, PLATFORM_FIELDS);
+    if (req.body && req.body.active !== undefined) {
+      if (!req.auth.operator) {
+        return res.status(403).json({ message: "Operator key required to change active." });
+      }
+      fields.Active = Boolean(req.body.active);
+    }
+    if (req.body && req.body.quotaPolicy) {
+      const { unlocksPerPeriod, period, unlocksPerContent } = req.body.quotaPolicy;
+      const isLimit = value => value === null || (Number.isInteger(value) && value >= 0);
+      if ((unlocksPerPeriod !== undefined && !isLimit(unlocksPerPeriod)) ||
+          (unlocksPerContent !== undefined && !isLimit(unlocksPerContent))) {
+        return res.status(400).json({ message: "Quota limits must be non-negative integers or null." });
+      }
+      if (period !== undefined && !['day', 'week', 'month'].includes(period)) {
+        return res.status(400).json({ message: "quotaPolicy.period must be day, week or month." });
+      }
+      if (unlocksPerPeriod !== undefined) fields['QuotaPolicy.UnlocksPerPeriod'] = unlocksPerPeriod;
+      if (period !== undefined) fields['QuotaPolicy.Period'] = period;
+      if (unlocksPerContent !== undefined) fields['QuotaPolicy.UnlocksPerContent'] = unlocksPerContent;
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: "Nothing to update." });
+    }
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findByIdAndUpdate(req.params.platformId, { $set: fields }, { new: true, runValidators: true })
+      : null;
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    return res.status(200).json({ message: "Platform updated", platform: toPlatformResponse(platform) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: duplicateKeyMessage(error) });
+    }
+    console.error("Error in /platforms/:platformId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * DELETE /platforms/:platformId?cascade=true
+ * Deletes a platform, its users and its webhooks. Operator only.
+ * Refuses with 409 while the platform still has locks or quota records, unless cascade=true,
+ * which deletes those records (and the locks' revisions and the platform's jobs) too. Stored HLS output is not touched.
+ */
+app.delete('/platforms/:platformId', authenticate, requireOperator, async (req, res) => {
+  try {
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    const [lockCount, quotaCount] = await Promise.all([
+      Lock.countDocuments({ PlatformID: platform._id }).setOptions({ withDeleted: true }),
+      Quota.countDocuments({ PlatformID: platform._id }).setOptions({ withDeleted: true })
+    ]);
+    if ((lockCount || quotaCount) && req.query.cascade !== 'true') {
+      return res.status(409).json({
+        message: "Platform still has locks or quota records; pass cascade=true to delete them too.",
+        locks: lockCount,
+        quotas: quotaCount
+      });
+    }
+    
+    // Revisions reference their lock rather than the platform, so collect the lock ids first.
+    const lockIds = await Lock.distinct('_id', { PlatformID: platform._id });
+    const [revisions, locks, quotas, jobs, users] = await Promise.all([
+      LockRevision.deleteMany({ LockID: { $in: lockIds } }),
+      Lock.deleteMany({ PlatformID: platform._id }),
+      Quota.deleteMany({ PlatformID: platform._id }),
+      Job.deleteMany({ PlatformID: platform._id, Status: { $ne: 'running' } }),
+      User.deleteMany({ PlatformID: platform._id }),
+      Webhook.deleteMany({ PlatformID: platform._id }),
+      WebhookDelivery.deleteMany({ PlatformID: platform._id }),
+      QuotaCounter.deleteMany({ PlatformID: platform._id })
+    ]);
+    await platform.deleteOne();
+    return res.status(200).json({
+      message: "Platform deleted",
+      deleted: {
+        locks: locks.deletedCount,
+        revisions: revisions.deletedCount,
+        quotas: quotas.deletedCount,
+        jobs: jobs.deletedCount,
+        users: users.deletedCount
+      }
+    });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /platforms/:platformId/users
+ * Expects: { userId, name, role: "Admin" | "User", emailId, gender?, phone?, userDescription? }
+ * Adds a user to the platform. Admins of the platform and the operator only.
+ */
+app.post('/platforms/:platformId/users', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const fields = pickFields(req.body || {}, USER_FIELDS);
+    if (!fields.UserID || !fields.Name || !fields.Role || !fields.EmailID) {
+      return res.status(400).json({ message: "Missing userId/name/role/emailId." });
+    }
+    if (!['Admin', 'User'].includes(fields.Role)) {
+      return res.status(400).json({ message: "role must be Admin or User." });
+    }
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    const user = await User.create({ ...fields, PlatformID: platform._id });
+    return res.status(201).json({ message: "User created", user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: duplicateKeyMessage(error) });
+    }
+    console.error("Error in /platforms/:platformId/users:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /platforms/:platformId/users?page=&limit=&active=&role=
+ * Paginated list of the platform's users. Admins of the platform and the operator only.
+ */
+app.get('/platforms/:platformId/users', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.platformId)) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = { PlatformID: req.params.platformId };
+    if (req.query.active !== undefined) {
+      query.Active = req.query.active === 'false' ? false : { $ne: false };
+    }
+    if (req.query.role) {
+      query.Role = req.query.role;
+    }
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ CreatedAt: 1 }).skip(skip).limit(limit),
+      User.countDocuments(query)
+    ]);
+    return res.status(200).json({ users, page, limit, total });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/users:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Loads the user named by :userId if the caller may see it: the user themself, an Admin of the
+ * same platform, or the operator. Responds 404 otherwise and returns null.
+ */
+async function findManagedUser(req, res, projection) {
+  const user = mongoose.isValidObjectId(req.params.userId)
+    ? await User.findById(req.params.userId).select(projection || '')
+    : null;
+  const isSelf = user && req.auth.user && String(req.auth.user._id) === String(user._id);
+  if (!user || !(isSelf || (req.auth.role === 'Admin' && canAccessPlatform(req, user.PlatformID)))) {
+    res.status(404).json({ message: "User not found." });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * GET /users/:userId
+ * Returns a user. Visible to the user themself, Admins of their platform and the operator.
+ */
+app.get('/users/:userId', authenticate, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    return res.status(200).json({ user });
+  } catch (error) {
+    console.error("Error in /users/:userId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * PATCH /users/:userId
+ * Expects any of: { userId, name, role, emailId, gender, phone, userDescription, active }
+ * Admins of the user's platform (and the operator) may change anything; users may update their
+ * own details but not their role or active flag.
+ */
+app.patch('/users/:userId', authenticate, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const fields = pickFields(req.body || {}, USER_FIELDS);
+    if (req.body && req.body.active !== undefined) {
+      fields.Active = Boolean(req.body.active);
+      fields.DeactivatedAt = fields.Active ? null : new Date();
+    }
+    if (req.auth.role !== 'Admin' && (fields.Role !== undefined || fields.Active !== undefined)) {
+      return res.status(403).json({ message: "Admin role required to change role or active." });
+    }
+    if (fields.Role !== undefined && !['Admin', 'User'].includes(fields.Role)) {
+      return res.status(400).json({ message: "role must be Admin or User." });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: "Nothing to update." });
+    }
+    user.set(fields);
+    await user.save();
+    return res.status(200).json({ message: "User updated", user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: duplicateKeyMessage(error) });
+    }
+    console.error("Error in /users/:userId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * DELETE /users/:userId
+ * Deactivates a user: the record and its locks stay, but its API keys stop working.
+ * Admins of the user's platform and the operator only.
+ */
+app.delete('/users/:userId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    user.Active = false;
+    user.DeactivatedAt = new Date();
+    await user.save();
+    return res.status(200).json({ message: "User deactivated", user });
+  } catch (error) {
+    console.error("Error in /users/:userId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * API key as returned by the API: never the key or its hash.
+ */
+function toApiKeyResponse(key) {
+  return { KeyId: key.KeyId, Prefix: key.Prefix, CreatedAt: key.CreatedAt, RevokedAt: key.RevokedAt };
+}
+
+/**
+ * POST /users/:userId/api-keys
+ * Issues a new API key for the user. The key is only returned in this response.
+ */
+app.post('/users/:userId/api-keys', authenticate, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res, '+ApiKeys.Hash');
+    if (!user) return;
+    const { apiKey, record } = generateApiKey();
+    user.ApiKeys.push(record);
+    await user.save();
+    const key = user.ApiKeys[user.ApiKeys.length - 1];
+    return res.status(201).json({ message: "API key created", apiKey, key: toApiKeyResponse(key) });
+  } catch (error) {
+    console.error("Error in /users/:userId/api-keys:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /users/:userId/api-keys
+ * Lists the user's API keys, revoked ones included.
+ */
+app.get('/users/:userId/api-keys', authenticate, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res, '+ApiKeys.Hash');
+    if (!user) return;
+    return res.status(200).json({ keys: user.ApiKeys.map(toApiKeyResponse) });
+  } catch (error) {
+    console.error("Error in /users/:userId/api-keys:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * DELETE /users/:userId/api-keys/:keyId
+ * Revokes an API key; requests using it are rejected from now on.
+ */
+app.delete('/users/:userId/api-keys/:keyId', authenticate, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res, '+ApiKeys.Hash');
+    if (!user) return;
+    const key = user.ApiKeys.find(k => k.KeyId === req.params.keyId && !k.RevokedAt);
+    if (!key) {
+      return res.status(404).json({ message: "API key not found." });
+    }
+    key.RevokedAt = new Date();
+    await user.save();
+    return res.status(200).json({ message: "API key revoked", key: toApiKeyResponse(key) });
+  } catch (error) {
+    console.error("Error in /users/:userId/api-keys/:keyId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /platforms/:platformId/storage-profiles
+ * Expects: {
+ *   name, storageType?: "s3" | "local", awsBucketName, awsRegion?, awsEndpoint?, awsForcePathStyle?,
+ *   awsAccessKeyId, awsSecretAccessKey
+ * }
+ * Stores a named storage profile on the platform with the secret encrypted under STORAGE_MASTER_KEY.
+ */
+app.post('/platforms/:platformId/storage-profiles', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const { name, ...awsData } = req.body || {};
+    if (!name || !/^[A-Za-z0-9._-]+$/.test(name)) {
+      return res.status(400).json({ message: "Missing or invalid profile name." });
+    }
+    const storageError = validateAwsData(awsData) ||
+      (awsData.awsEndpoint ? await checkPublicUrl(awsData.awsEndpoint, 'awsEndpoint') : null);
+    if (storageError) {
+      return res.status(400).json({ message: storageError });
+    }
+    if (!mongoose.isValidObjectId(req.params.platformId)) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    const platform = await Platform.findById(req.params.platformId).select('+StorageProfiles.EncryptedSecret');
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    if (findStorageProfile(platform, name)) {
+      return res.status(409).json({ message: `Storage profile ${name} already exists.` });
+    }
+    
+    const config = storageConfigFromAwsData(awsData);
+    platform.StorageProfiles.push({
+      Name: name,
+      Type: config.type,
+      Bucket: config.bucket,
+      Region: config.region || null,
+      Endpoint: config.endpoint || null,
+      ForcePathStyle: Boolean(config.forcePathStyle),
+      AccessKeyId: config.accessKeyId || null,
+      EncryptedSecret: config.secretAccessKey ? encryptSecret(config.secretAccessKey) : null
+    });
+    await platform.save();
+    
+    const profile = findStorageProfile(platform, name);
+    return res.status(201).json({ message: "Storage profile created", profile: toStorageProfileResponse(profile) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/storage-profiles:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /platforms/:platformId/storage-profiles
+ * Lists the platform's storage profiles, revoked ones included. Secrets are never returned.
+ */
+app.get('/platforms/:platformId/storage-profiles', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    return res.status(200).json({ profiles: platform.StorageProfiles.map(toStorageProfileResponse) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/storage-profiles:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /platforms/:platformId/storage-profiles/:name/rotate
+ * Expects: { awsSecretAccessKey, awsAccessKeyId? }
+ * Replaces the profile's credentials; requests already queued pick up the new ones when they run.
+ */
+app.post('/platforms/:platformId/storage-profiles/:name/rotate', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const { awsAccessKeyId, awsSecretAccessKey } = req.body || {};
+    if (!awsSecretAccessKey) {
+      return res.status(400).json({ message: "Missing awsSecretAccessKey." });
+    }
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId).select('+StorageProfiles.EncryptedSecret')
+      : null;
+    const profile = platform && findStorageProfile(platform, req.params.name);
+    if (!profile) {
+      return res.status(404).json({ message: "Storage profile not found." });
+    }
+    if (profile.Type === 'local') {
+      return res.status(400).json({ message: "Local storage profiles have no credentials to rotate." });
+    }
+    
+    if (awsAccessKeyId) {
+      profile.AccessKeyId = awsAccessKeyId;
+    }
+    profile.EncryptedSecret = encryptSecret(awsSecretAccessKey);
+    profile.RotatedAt = new Date();
+    await platform.save();
+    
+    return res.status(200).json({ message: "Storage profile rotated", profile: toStorageProfileResponse(profile) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/storage-profiles/:name/rotate:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /platforms/:platformId/storage-profiles/:name/test
+ * Checks the profile's credentials by listing the top level of its bucket.
+ * Responds { ok: true } or { ok: false, message } with the storage error.
+ */
+app.post('/platforms/:platformId/storage-profiles/:name/test', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const { storage, error } = await resolveStorage(req.params.platformId, req.params.name);
+    if (error) {
+      return res.status(404).json({ message: "Storage profile not found." });
+    }
+    try {
+      await storage.list('', { delimiter: '/' });
+    } catch (storageError) {
+      return res.status(200).json({ ok: false, message: storageError.message });
+    }
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/storage-profiles/:name/test:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * DELETE /platforms/:platformId/storage-profiles/:name
+ * Revokes the profile: its secret is erased and requests naming it are rejected from now on.
+ * Existing locks are untouched; their output stays where it is.
+ */
+app.delete('/platforms/:platformId/storage-profiles/:name', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId).select('+StorageProfiles.EncryptedSecret')
+      : null;
+    const profile = platform && findStorageProfile(platform, req.params.name);
+    if (!profile) {
+      return res.status(404).json({ message: "Storage profile not found." });
+    }
+    profile.EncryptedSecret = null;
+    profile.RevokedAt = new Date();
+    await platform.save();
+    
+    return res.status(200).json({ message: "Storage profile revoked", profile: toStorageProfileResponse(profile) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/storage-profiles/:name:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Webhook as returned by the API; the signing secret is only returned when it is created or rotated.
+ */
+function toWebhookResponse(webhook) {
+  return {
+    id: webhook._id,
+    url: webhook.Url,
+    events: webhook.Events,
+    active: webhook.Active,
+    createdAt: webhook.CreatedAt,
+    secretRotatedAt: webhook.SecretRotatedAt
+  };
+}
+
+/**
+ * Delivery log entry as returned by the API.
+ */
+function toWebhookDeliveryResponse(delivery) {
+  return {
+    id: delivery._id,
+    event: delivery.Event,
+    payload: delivery.Payload,
+    status: delivery.Status,
+    attempts: delivery.Attempts,
+    nextAttemptAt: delivery.Status === 'pending' ? delivery.NextAttemptAt : null,
+    lastAttemptAt: delivery.LastAttemptAt,
+    responseStatus: delivery.ResponseStatus,
+    errorMessage: delivery.ErrorMessage,
+    replayOf: delivery.ReplayOf,
+    createdAt: delivery.CreatedAt,
+    deliveredAt: delivery.DeliveredAt
+  };
+}
+
+/**
+ * Checks the events list of a webhook request. Returns an error message or null.
+ */
+function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "events must be a non-empty array.";
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Loads the webhook named by :webhookId if it belongs to :platformId.
+ * Responds 404 and returns null otherwise.
+ */
+async function findPlatformWebhook(req, res, projection) {
+  const { platformId, webhookId } = req.params;
+  const webhook = mongoose.isValidObjectId(platformId) && mongoose.isValidObjectId(webhookId)
+    ? await Webhook.findOne({ _id: webhookId, PlatformID: platformId }).select(projection || '')
+    : null;
+  if (!webhook) {
+    res.status(404).json({ message: "Webhook not found." });
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * POST /platforms/:platformId/webhooks
+ * Expects: { url, events: [lock.created | lock.modified | lock.deleted | render.failed | content.unlocked | content.relocked] }
+ * Registers a webhook; url must be http(s) on a host that resolves to public addresses only.
+ * Each delivery is a JSON POST signed with the returned secret:
+ * X-Webhook-Signature is "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>".
+ * The secret is only shown here and when it is rotated.
+ */
+app.post('/platforms/:platformId/webhooks', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const { url, events } = req.body || {};
+    const validationError = (await validateWebhookUrl(url)) || validateWebhookEvents(events);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    const platform = mongoose.isValidObjectId(req.params.platformId)
+      ? await Platform.findById(req.params.platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      PlatformID: platform._id,
+      Url: url,
+      Events: [...new Set(events)],
+      EncryptedSecret: encryptSecret(secret)
+    });
+    return res.status(201).json({ message: "Webhook created", webhook: toWebhookResponse(webhook), secret });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /platforms/:platformId/webhooks
+ * Lists the platform's webhooks.
+ */
+app.get('/platforms/:platformId/webhooks', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.platformId)) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    const webhooks = await Webhook.find({ PlatformID: req.params.platformId }).sort({ CreatedAt: 1 });
+    return res.status(200).json({ webhooks: webhooks.map(toWebhookResponse) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * PATCH /platforms/:platformId/webhooks/:webhookId
+ * Expects any of: { url, events, active }
+ */
+app.patch('/platforms/:platformId/webhooks/:webhookId', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const { url, events, active } = req.body || {};
+    const validationError = (url !== undefined && await validateWebhookUrl(url)) ||
+      (events !== undefined && validateWebhookEvents(events)) ||
+      (active !== undefined && typeof active !== 'boolean' && "active must be a boolean.");
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    const webhook = await findPlatformWebhook(req, res);
+    if (!webhook) return;
+    if (url !== undefined) webhook.Url = url;
+    if (events !== undefined) webhook.Events = [...new Set(events)];
+    if (active !== undefined) webhook.Active = active;
+    await webhook.save();
+    return res.status(200).json({ message: "Webhook updated", webhook: toWebhookResponse(webhook) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks/:webhookId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * DELETE /platforms/:platformId/webhooks/:webhookId
+ * Deletes a webhook together with its delivery log; pending deliveries are dropped.
+ */
+app.delete('/platforms/:platformId/webhooks/:webhookId', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const webhook = await findPlatformWebhook(req, res);
+    if (!webhook) return;
+    const deliveries = await WebhookDelivery.deleteMany({ WebhookID: webhook._id });
+    await webhook.deleteOne();
+    return res.status(200).json({ message: "Webhook deleted", deliveriesDeleted: deliveries.deletedCount });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks/:webhookId:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /platforms/:platformId/webhooks/:webhookId/rotate-secret
+ * Replaces the signing secret and returns the new one. Deliveries sent from now on use it,
+ * retries of earlier events included.
+ */
+app.post('/platforms/:platformId/webhooks/:webhookId/rotate-secret', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const webhook = await findPlatformWebhook(req, res, '+EncryptedSecret');
+    if (!webhook) return;
+    const secret = generateWebhookSecret();
+    webhook.EncryptedSecret = encryptSecret(secret);
+    webhook.SecretRotatedAt = new Date();
+    await webhook.save();
+    return res.status(200).json({ message: "Webhook secret rotated", webhook: toWebhookResponse(webhook), secret });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks/:webhookId/rotate-secret:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /platforms/:platformId/webhooks/:webhookId/deliveries?status=&event=&page=&limit=
+ * Lists the webhook's deliveries, newest first.
+ */
+app.get('/platforms/:platformId/webhooks/:webhookId/deliveries', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const webhook = await findPlatformWebhook(req, res);
+    if (!webhook) return;
+    const query = { WebhookID: webhook._id };
+    if (req.query.status) query.Status = String(req.query.status);
+    if (req.query.event) query.Event = String(req.query.event);
+    const { page, limit, skip } = parsePagination(req.query);
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query).sort({ CreatedAt: -1 }).skip(skip).limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+    return res.status(200).json({
+      deliveries: deliveries.map(toWebhookDeliveryResponse),
+      page,
+      limit,
+      total
+    });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks/:webhookId/deliveries:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /platforms/:platformId/webhooks/:webhookId/deliveries/:deliveryId/replay
+ * Sends a past delivery's payload again as a new delivery (same event id), whatever its outcome was.
+ * Responds 202 with the new delivery; 409 while the webhook is inactive.
+ */
+app.post('/platforms/:platformId/webhooks/:webhookId/deliveries/:deliveryId/replay', authenticate, requireAdmin, requirePlatformAccess, async (req, res) => {
+  try {
+    const webhook = await findPlatformWebhook(req, res);
+    if (!webhook) return;
+    const original = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, WebhookID: webhook._id })
+      : null;
+    if (!original) {
+      return res.status(404).json({ message: "Delivery not found." });
+    }
+    if (!webhook.Active) {
+      return res.status(409).json({ message: "Webhook is inactive." });
+    }
+    const delivery = await WebhookDelivery.create({
+      WebhookID: webhook._id,
+      PlatformID: webhook.PlatformID,
+      Event: original.Event,
+      Payload: original.Payload,
+      ReplayOf: original._id
+    });
+    setImmediate(runWebhookDeliveries);
+    return res.status(202).json({ message: "Delivery queued", delivery: toWebhookDeliveryResponse(delivery) });
+  } catch (error) {
+    console.error("Error in /platforms/:platformId/webhooks/:webhookId/deliveries/:deliveryId/replay:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Start and end of the quota period (UTC calendar day, ISO week or month) containing `date`.
+ */
+function quotaPeriodBounds(period, date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const end = new Date(start);
+  if (period === 'day') {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    end.setTime(start.getTime());
+    end.setUTCDate(end.getUTCDate() + 7);
+  } else {
+    start.setUTCDate(1);
+    end.setTime(start.getTime());
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  }
+  return { start, end };
+}
+
+/**
+ * Works out how many unlocks a user has left under the platform's quota policy, overall for the
+ * current period and, when contentId is given, for that content. `remaining` is null when unlimited.
+ */
+async function getQuotaStatus(platform, userId, contentId) {
+  const policy = platform.QuotaPolicy || {};
+  const { start, end } = quotaPeriodBounds(policy.Period || 'month');
+  const baseQuery = { PlatformID: platform._id, UserID: userId, LockAction: 'Unlock' };
+  const usedThisPeriod = await Quota.countDocuments({ ...baseQuery, Timestamp: { $gte: start, $lt: end } });
+  const remaining = (limit, used) => (limit === null || limit === undefined ? null : Math.max(0, limit - used));
+  
+  const status = {
+    period: {
+      type: policy.Period || 'month',
+      start,
+      end,
+      limit: policy.UnlocksPerPeriod ?? null,
+      used: usedThisPeriod,
+      remaining: remaining(policy.UnlocksPerPeriod, usedThisPeriod)
+    },
+    content: null
+  };
+  if (contentId) {
+    const usedForContent = await Quota.countDocuments({ ...baseQuery, ContentID: contentId });
+    status.content = {
+      contentId,
+      limit: policy.UnlocksPerContent ?? null,
+      used: usedForContent,
+      remaining: remaining(policy.UnlocksPerContent, usedForContent)
+    };
+  }
+  return status;
+}
+
+/**
+ * Takes one unlock from one of the user's quota limits: the counter under `key` is only incremented
+ * while it is below `limit`, so concurrent unlocks cannot go over it. A missing counter is first seeded
+ * with the unlocks `usedQuery` matches in Quota. Resolves false once the limit is used up, true without a limit.
+ */
+async function reserveUnlock(platformId, userId, key, limit, usedQuery, expiresAt = null) {
+  if (limit === null || limit === undefined) {
+    return true;
+  }
+  const counter = { PlatformID: platformId, UserID: userId, Key: key };
+  const used = await Quota.countDocuments(usedQuery);
+  try {
+    await QuotaCounter.updateOne(counter, { $setOnInsert: { Count: used, ExpiresAt: expiresAt } }, { upsert: true });
+  } catch (error) {
+    // Another request seeded the counter first.
+    if (error.code !== 11000) throw error;
+  }
+  return Boolean(await QuotaCounter.findOneAndUpdate({ ...counter, Count: { $lt: limit } }, { $inc: { Count: 1 } }));
+}
+
+/**
+ * Gives back an unlock taken with reserveUnlock, when the unlock does not go through after all.
+ */
+async function releaseUnlock(platformId, userId, key) {
+  await QuotaCounter.updateOne({ PlatformID: platformId, UserID: userId, Key: key, Count: { $gt: 0 } }, { $inc: { Count: -1 } });
+}
+
+/**
+ * Takes removed Unlock rows back out of the counters reserveUnlock charged them to: the content counter
+ * and the counter of the period each unlock fell in, under the platform's current period type.
+ * Each counter is decremented in one update and never below zero; counters not seeded yet are left alone.
+ */
+async function releaseUnlocks(platformId, unlocks) {
+  if (unlocks.length === 0) {
+    return;
+  }
+  const platform = await Platform.findById(platformId);
+  const periodType = (platform && platform.QuotaPolicy && platform.QuotaPolicy.Period) || 'month';
+  const released = new Map();
+  for (const unlock of unlocks) {
+    const { start } = quotaPeriodBounds(periodType, unlock.Timestamp);
+    for (const key of [`period:${periodType}:${start.toISOString()}`, `content:${unlock.ContentID}`]) {
+      const counter = `${unlock.UserID}\n${key}`;
+      released.set(counter, (released.get(counter) || 0) + 1);
+    }
+  }
+  await Promise.all([...released].map(([counter, count]) => {
+    const [userId, key] = counter.split('\n');
+    return QuotaCounter.updateOne(
+      { PlatformID: platformId, UserID: userId, Key: key },
+      [{ $set: { Count: { $max: [0, { $subtract: ['$Count', count] }] } } }]
+    );
+  }));
+}
+
+/**
+ * Loads the lock named by :lockId (its LockJsonObject.lockId) and the acting user for a lock/unlock
+ * action. Responds with an error and returns null when either is missing or out of the caller's reach.
+ */
+async function findLockAction(req, res) {
+  const lock = await findAccessibleLock(req, res);
+  if (!lock) {
+    return null;
+  }
+  const { userId } = callerIdentity(req);
+  if (!mongoose.isValidObjectId(userId) ||
+      (req.auth.operator && !(await User.exists({ _id: userId, PlatformID: lock.PlatformID })))) {
+    res.status(400).json({ message: "Missing or invalid userId." });
+    return null;
+  }
+  const [platform, lastAction] = await Promise.all([
+    Platform.findById(lock.PlatformID),
+    lastLockAction(lock, userId)
+  ]);
+  return {
+    lock,
+    platform,
+    userId,
+    isUnlocked: Boolean(lastAction && lastAction.LockAction === 'Unlock'),
+    sequence: ((lastAction && lastAction.Sequence) || 0) + 1
+  };
+}
+
+/**
+ * The user's latest lock/unlock action (Quota row) on the lock, or null.
+ */
+async function lastLockAction(lock, userId) {
+  return Quota.findOne({ LockID: lock._id, UserID: userId }).sort({ Sequence: -1, Timestamp: -1 });
+}
+
+/**
+ * True if the user's latest lock/unlock action on the lock is an Unlock.
+ */
+async function isUnlockedFor(lock, userId) {
+  const lastAction = await lastLockAction(lock, userId);
+  return Boolean(lastAction && lastAction.LockAction === 'Unlock');
+}
+
+/**
+ * POST /locks/:lockId/unlock
+ * Unlocks a piece of locked content for the calling user (the operator names userId in the body)
+ * and records the action in Quota. Responds 429 once the platform's unlock quota is used up,
+ * and 409 if the user already has it unlocked. The limits are taken atomically (see reserveUnlock),
+ * so concurrent unlocks cannot exceed them, and only one of concurrent unlocks by the same user is
+ * recorded (see the Sequence index on Quota); the others get the 409.
+ */
+app.post('/locks/:lockId/unlock', authenticate, async (req, res) => {
+  try {
+    const action = await findLockAction(req, res);
+    if (!action) return;
+    const { lock, platform, userId, isUnlocked, sequence } = action;
+    const contentId = lock.LockJsonObject.contentId;
+    if (isUnlocked) {
+      return res.status(409).json({ message: "Content is already unlocked for this user." });
+    }
+    
+    const quota = await getQuotaStatus(platform, userId, contentId);
+    const periodUsedUp = status => res.status(429).json({
+      message: `Unlock quota used up: ${status.period.limit} unlocks per ${status.period.type}. Resets at ${status.period.end.toISOString()}.`,
+      quota: status
+    });
+    const contentUsedUp = status => res.status(429).json({
+      message: `Unlock quota used up for this content: ${status.content.limit} unlocks allowed.`,
+      quota: status
+    });
+    if (quota.period.remaining === 0) {
+      return periodUsedUp(quota);
+    }
+    if (quota.content.remaining === 0) {
+      return contentUsedUp(quota);
+    }
+    
+    // Take the unlock from both limits before recording it, giving back what was taken if anything fails.
+    const usedQuery = { PlatformID: platform._id, UserID: userId, LockAction: 'Unlock' };
+    const periodKey = `period:${quota.period.type}:${quota.period.start.toISOString()}`;
+    const contentKey = `content:${contentId}`;
+    const reserved = [];
+    let record;
+    try {
+      if (!(await reserveUnlock(platform._id, userId, periodKey, quota.period.limit,
+        { ...usedQuery, Timestamp: { $gte: quota.period.start, $lt: quota.period.end } }, quota.period.end))) {
+        return periodUsedUp(await getQuotaStatus(platform, userId, contentId));
+      }
+      reserved.push(periodKey);
+      if (!(await reserveUnlock(platform._id, userId, contentKey, quota.content.limit, { ...usedQuery, ContentID: contentId }))) {
+        return contentUsedUp(await getQuotaStatus(platform, userId, contentId));
+      }
+      reserved.push(contentKey);
+      record = await Quota.create({
+        LockID: lock._id,
+        PlatformID: lock.PlatformID,
+        ContentID: contentId,
+        UserID: userId,
+        LockAction: 'Unlock',
+        Sequence: sequence
+      });
+    } catch (error) {
+      // A concurrent unlock by the same user was recorded first.
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "Content is already unlocked for this user." });
+      }
+      throw error;
+    } finally {
+      if (!record) {
+        await Promise.all(reserved.map(key => releaseUnlock(platform._id, userId, key)));
+      }
+    }
+    emitWebhookEvent(lock.PlatformID, 'content.unlocked', { ...lockEventData(lock), userId });
+    return res.status(201).json({
+      message: "Content unlocked",
+      action: record,
+      quota: await getQuotaStatus(platform, userId, contentId)
+    });
+  } catch (error) {
+    console.error("Error in /locks/:lockId/unlock:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /locks/:lockId/relock
+ * Locks content the calling user previously unlocked and records the action in Quota.
+ * Re-locking does not give the unlock back. Responds 409 if the content is not unlocked, or was
+ * just re-locked by a concurrent request.
+ */
+app.post('/locks/:lockId/relock', authenticate, async (req, res) => {
+  try {
+    const action = await findLockAction(req, res);
+    if (!action) return;
+    const { lock, platform, userId, isUnlocked, sequence } = action;
+    if (!isUnlocked) {
+      return res.status(409).json({ message: "Content is not unlocked for this user." });
+    }
+    let record;
+    try {
+      record = await Quota.create({
+        LockID: lock._id,
+        PlatformID: lock.PlatformID,
+        ContentID: lock.LockJsonObject.contentId,
+        UserID: userId,
+        LockAction: 'Lock',
+        Sequence: sequence
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "Content is not unlocked for this user." });
       }
+      throw error;
+    }
+    emitWebhookEvent(lock.PlatformID, 'content.relocked', { ...lockEventData(lock), userId });
+    return res.status(201).json({
+      message: "Content locked",
+      action: record,
+      quota: await getQuotaStatus(platform, userId, lock.LockJsonObject.contentId)
     });
+  } catch (error) {
+    console.error("Error in /locks/:lockId/relock:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /users/:userId/quota?contentId=
+ * Returns the user's remaining unlock allowance for the current period and, with contentId,
+ * for that content. Visible to the user themself, Admins of their platform and the operator.
+ */
+app.get('/users/:userId/quota', authenticate, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+    const platform = await Platform.findById(user.PlatformID);
+    if (!platform) {
+      return res.status(404).json({ message: "Platform not found." });
+    }
+    const quota = await getQuotaStatus(platform, user._id, req.query.contentId);
+    return res.status(200).json({ userId: user._id, quota });
+  } catch (error) {
+    console.error("Error in /users/:userId/quota:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Dimensions quota reports can be grouped by: the Quota field, or the date format of the period (UTC).
+const QUOTA_REPORT_DIMENSIONS = {
+  platform: { field: 'platformId', group: '$PlatformID' },
+  user: { field: 'userId', group: '$UserID' },
+  content: { field: 'contentId', group: '$ContentID' },
+  day: { field: 'period', group: { $dateToString: { format: '%Y-%m-%d', date: '$Timestamp' } } },
+  week: { field: 'period', group: { $dateToString: { format: '%G-W%V', date: '$Timestamp' } } },
+  month: { field: 'period', group: { $dateToString: { format: '%Y-%m', date: '$Timestamp' } } }
+};
+const QUOTA_REPORT_PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Builds the $match stage of a quota report from the query string: platformId (Admins only ever get
+ * their own platform), userId, contentId and the from (inclusive) / to (exclusive) dates.
+ * Rows of deleted locks are left out; aggregations skip the Quota soft-delete hook.
+ * Returns { match } or { error, status? } for the response.
+ */
+function buildQuotaReportMatch(req) {
+  const { platformId, userId, contentId } = req.query;
+  const match = { DeletedAt: null };
+  
+  if (platformId) {
+    if (!mongoose.isValidObjectId(platformId)) {
+      return { error: "platformId must be a valid id." };
+    }
+    if (!canAccessPlatform(req, platformId)) {
+      return { error: "Platform not found.", status: 404 };
+    }
+    match.PlatformID = new mongoose.Types.ObjectId(String(platformId));
+  } else if (!req.auth.operator) {
+    match.PlatformID = new mongoose.Types.ObjectId(String(req.auth.platformId));
+  }
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return { error: "userId must be a valid id." };
+    }
+    match.UserID = new mongoose.Types.ObjectId(String(userId));
+  }
+  if (contentId) {
+    match.ContentID = String(contentId);
+  }
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lt']]) {
+    if (!req.query[param]) continue;
+    const date = new Date(req.query[param]);
+    if (isNaN(date.getTime())) {
+      return { error: `${param} must be a date.` };
+    }
+    match.Timestamp = { ...match.Timestamp, [operator]: date };
+  }
+  return { match };
+}
+
+/**
+ * Aggregation stages that count locks, unlocks and distinct users per _id (a $group key).
+ */
+function quotaCountStages(groupKey) {
+  return [
+    {
+      $group: {
+        _id: groupKey,
+        locks: { $sum: { $cond: [{ $eq: ['$LockAction', 'Lock'] }, 1, 0] } },
+        unlocks: { $sum: { $cond: [{ $eq: ['$LockAction', 'Unlock'] }, 1, 0] } },
+        viewers: { $addToSet: '$UserID' }
+      }
+    },
+    { $addFields: { uniqueViewers: { $size: '$viewers' } } },
+    { $project: { viewers: 0 } }
+  ];
+}
+
+/**
+ * Renders rows as CSV with the given columns. Values are quoted when needed, and ones that
+ * spreadsheets would run as formulas are prefixed with a quote.
+ */
+function toCsv(columns, rows) {
+  const escape = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Sends a report as JSON or, with ?format=csv, as a CSV attachment named after the report.
+ */
+function sendReport(req, res, name, columns, body) {
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.status(200).send(toCsv(columns, body.rows));
+  }
+  return res.status(200).json(body);
+}
+
+/**
+ * GET /reports/quota?groupBy=&platformId=&userId=&contentId=&from=&to=&format=
+ * Lock and unlock counts and unique viewers from Quota, grouped by a comma-separated list of
+ * platform, user, content and at most one of day, week (ISO, e.g. 2025-W07) or month (UTC).
+ * Admins see their own platform only; the operator sees every platform unless platformId is given.
+ * Responds { groupBy, from, to, totals: { locks, unlocks, uniqueViewers }, rows: [...] }, or CSV
+ * of the rows with format=csv.
+ */
+app.get('/reports/quota', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'day').split(',').map(dimension => dimension.trim());
+    const unknown = groupBy.find(dimension => !QUOTA_REPORT_DIMENSIONS[dimension]);
+    if (unknown !== undefined || new Set(groupBy).size !== groupBy.length) {
+      return res.status(400).json({ message: `groupBy must be a list of distinct: ${Object.keys(QUOTA_REPORT_DIMENSIONS).join(', ')}.` });
+    }
+    if (groupBy.filter(dimension => QUOTA_REPORT_PERIODS.includes(dimension)).length > 1) {
+      return res.status(400).json({ message: `groupBy takes at most one of: ${QUOTA_REPORT_PERIODS.join(', ')}.` });
+    }
+    const { match, error, status } = buildQuotaReportMatch(req);
+    if (error) {
+      return res.status(status || 400).json({ message: error });
+    }
     
-    // Download the original MP4 to local temp.
-    const getCommand = new GetObjectCommand({
-      Bucket: awsBucketName,
-      Key: awsOriginalKey,
+    const fields = groupBy.map(dimension => QUOTA_REPORT_DIMENSIONS[dimension].field);
+    const groupKey = Object.fromEntries(groupBy.map(dimension => [
+      QUOTA_REPORT_DIMENSIONS[dimension].field,
+      QUOTA_REPORT_DIMENSIONS[dimension].group
+    ]));
+    const [groups, totals] = await Promise.all([
+      Quota.aggregate([
+        { $match: match },
+        ...quotaCountStages(groupKey),
+        { $sort: Object.fromEntries(fields.map(field => [`_id.${field}`, 1])) }
+      ]),
+      Quota.aggregate([{ $match: match }, ...quotaCountStages(null)])
+    ]);
+    const rows = groups.map(({ _id, locks, unlocks, uniqueViewers }) => ({ ..._id, locks, unlocks, uniqueViewers }));
+    const total = totals[0] || { locks: 0, unlocks: 0, uniqueViewers: 0 };
+    
+    return sendReport(req, res, 'quota-report', [...fields, 'locks', 'unlocks', 'uniqueViewers'], {
+      groupBy,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      totals: { locks: total.locks, unlocks: total.unlocks, uniqueViewers: total.uniqueViewers },
+      rows
     });
-    const data = await s3Client.send(getCommand);
-    const localMp4Path = path.join(TMP_DIR, `${Date.now()}-original.mp4`);
-    await streamPipeline(data.Body, fs.createWriteStream(localMp4Path));
+  } catch (error) {
+    console.error("Error in /reports/quota:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /reports/quota/top-content?limit=&platformId=&userId=&from=&to=&format=
+ * The most unlocked content (default 10, at most 100), with its lock count and unique viewers.
+ * Scoped and filtered like /reports/quota; responds { from, to, rows: [...] } or CSV.
+ */
+app.get('/reports/quota/top-content', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { match, error, status } = buildQuotaReportMatch(req);
+    if (error) {
+      return res.status(status || 400).json({ message: error });
+    }
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
     
-    // Process the video into HLS playlists.
-    const { normalPlaylistPath, blackoutPlaylistPath } = createM3U8WithExactSegments(
-      localMp4Path,
-      blackoutLocks || []
-    );
+    const groups = await Quota.aggregate([
+      { $match: match },
+      ...quotaCountStages({ platformId: '$PlatformID', contentId: '$ContentID' }),
+      { $match: { unlocks: { $gt: 0 } } },
+      { $sort: { unlocks: -1, uniqueViewers: -1, '_id.contentId': 1 } },
+      { $limit: limit }
+    ]);
+    const rows = groups.map(({ _id, locks, unlocks, uniqueViewers }, index) => ({
+      rank: index + 1,
+      ..._id,
+      unlocks,
+      locks,
+      uniqueViewers
+    }));
+    
+    return sendReport(req, res, 'top-unlocked-content', ['rank', 'platformId', 'contentId', 'unlocks', 'locks', 'uniqueViewers'], {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      rows
+    });
+  } catch (error) {
+    console.error("Error in /reports/quota/top-content:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Summary of a revision for listings; GET /locks/:lockId/revisions/:revision has the full record.
+ */
+function toRevisionSummary(revision) {
+  return {
+    revision: revision.Revision,
+    action: revision.Action,
+    rolledBackTo: revision.RolledBackTo,
+    userId: revision.UserID,
+    createdAt: revision.CreatedAt,
+    normalUrl: revision.NormalUrl,
+    blackoutUrl: revision.BlackoutUrl,
+    thumbnailTrackUrl: revision.ThumbnailTrackUrl,
+    lockCounts: Object.fromEntries(Object.entries(revision.Locks || {}).map(([type, locks]) => [type, locks.length]))
+  };
+}
+
+/**
+ * Compares the lock sets of two revisions per lock type. Locks get new ids on every modify,
+ * so they are matched on their content; returns { [type]: { added, removed, unchanged } }.
+ */
+function diffLockSets(fromLocks, toLocks) {
+  const signature = lock => JSON.stringify(
+    Object.keys(lock).filter(key => key !== '_id' && !key.endsWith('_id')).sort().map(key => [key, lock[key]])
+  );
+  const diff = {};
+  for (const type of ['blackout-locks', 'replacement-video-locks', 'image-locks', 'mute-locks', 'region-locks']) {
+    const fromList = (fromLocks && fromLocks[type]) || [];
+    const toList = (toLocks && toLocks[type]) || [];
+    const fromSignatures = new Set(fromList.map(signature));
+    const toSignatures = new Set(toList.map(signature));
+    diff[type] = {
+      added: toList.filter(lock => !fromSignatures.has(signature(lock))),
+      removed: fromList.filter(lock => !toSignatures.has(signature(lock))),
+      unchanged: toList.filter(lock => fromSignatures.has(signature(lock))).length
+    };
+  }
+  return diff;
+}
+
+/**
+ * Loads the lock named by :lockId (its LockJsonObject.lockId) if it belongs to the caller's platform.
+ * Responds 404 and returns null otherwise.
+ */
+async function findAccessibleLock(req, res) {
+  const lock = await Lock.findOne({ "LockJsonObject.lockId": req.params.lockId });
+  if (!lock || !canAccessPlatform(req, lock.PlatformID)) {
+    res.status(404).json({ message: "Lock not found." });
+    return null;
+  }
+  return lock;
+}
+
+/**
+ * GET /locks/:lockId/revisions?page=&limit=
+ * Lists the lock's revisions, newest first.
+ */
+app.get('/locks/:lockId/revisions', authenticate, async (req, res) => {
+  try {
+    const lock = await findAccessibleLock(req, res);
+    if (!lock) return;
+    const { page, limit, skip } = parsePagination(req.query);
+    const [revisions, total] = await Promise.all([
+      LockRevision.find({ LockID: lock._id }).sort({ Revision: -1 }).skip(skip).limit(limit),
+      LockRevision.countDocuments({ LockID: lock._id })
+    ]);
+    return res.status(200).json({
+      currentRevision: lock.CurrentRevision,
+      revisions: revisions.map(toRevisionSummary),
+      page,
+      limit,
+      total
+    });
+  } catch (error) {
+    console.error("Error in /locks/:lockId/revisions:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /locks/:lockId/revisions/diff?from=&to=
+ * Compares two revisions: locks added and removed per type, and whether renditions and outputs changed.
+ * `to` defaults to the current revision.
+ */
+app.get('/locks/:lockId/revisions/diff', authenticate, async (req, res) => {
+  try {
+    const lock = await findAccessibleLock(req, res);
+    if (!lock) return;
+    const from = Number(req.query.from);
+    const to = req.query.to !== undefined ? Number(req.query.to) : lock.CurrentRevision;
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ message: "from and to must be revision numbers." });
+    }
+    const [fromRevision, toRevision] = await Promise.all([
+      LockRevision.findOne({ LockID: lock._id, Revision: from }),
+      LockRevision.findOne({ LockID: lock._id, Revision: to })
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: "Revision not found." });
+    }
+    return res.status(200).json({
+      from,
+      to,
+      locks: diffLockSets(fromRevision.Locks, toRevision.Locks),
+      renditionsChanged: JSON.stringify(toRenditionLadder(fromRevision.Renditions)) !==
+        JSON.stringify(toRenditionLadder(toRevision.Renditions)),
+      outputChanged: fromRevision.OutputPrefix !== toRevision.OutputPrefix ||
+        fromRevision.NormalUrl !== toRevision.NormalUrl
+    });
+  } catch (error) {
+    console.error("Error in /locks/:lockId/revisions/diff:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /locks/:lockId/revisions/:revision
+ * Returns one revision in full.
+ */
+app.get('/locks/:lockId/revisions/:revision', authenticate, async (req, res) => {
+  try {
+    const lock = await findAccessibleLock(req, res);
+    if (!lock) return;
+    const revision = await LockRevision.findOne({ LockID: lock._id, Revision: Number(req.params.revision) || 0 });
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found." });
+    }
+    return res.status(200).json({ revision });
+  } catch (error) {
+    console.error("Error in /locks/:lockId/revisions/:revision:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /locks/:lockId/rollback
+ * Expects: { revision, storageProfile? | awsData? }
+ * Restores an earlier revision, recorded as a new "rollback" revision. Admins only.
+ * If that revision's render is still kept (replaced less than OUTPUT_GC_GRACE_SECONDS ago) the lock
+ * is pointed back at it right away (200). Otherwise a re-render with the revision's locks and
+ * renditions is queued (202, poll the job).
+ * Refused with 409 while a modify or rollback render of the lock is queued or running, since that job
+ * would save its own copy of the lock over the rollback.
+ */
+app.post('/locks/:lockId/rollback', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { revision: revisionNumber, storageProfile, awsData } = req.body || {};
+    if (!Number.isInteger(revisionNumber)) {
+      return res.status(400).json({ message: "Missing revision number." });
+    }
+    if (!awsData && !storageProfile) {
+      return res.status(400).json({ message: "Missing awsData or storageProfile." });
+    }
+    const lock = await findAccessibleLock(req, res);
+    if (!lock) return;
+    if (revisionNumber === lock.CurrentRevision) {
+      return res.status(409).json({ message: `Revision ${revisionNumber} is already current.` });
+    }
+    if (await hasPendingRender(lock)) {
+      return res.status(409).json({ message: "A render of this lock is queued or running; roll back once it has finished." });
+    }
+    const revision = await LockRevision.findOne({ LockID: lock._id, Revision: revisionNumber });
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found." });
+    }
+    if (!lock.OutputPrefix) {
+      return res.status(409).json({ message: "Lock has no recorded output folder to render into." });
+    }
     
-    // Create a subfolder named after contentId inside awsDestinationFolder.
-    const baseFolder = awsDestinationFolder.endsWith('/') ? awsDestinationFolder : awsDestinationFolder + '/';
-    const uniqueSubfolder = baseFolder + contentId + '/';
+    const { storage, error: storageError } = await resolveStorage(lock.PlatformID, storageProfile, awsData);
+    if (storageError) {
+      return res.status(400).json({ message: storageError });
+    }
     
-    // Upload HLS files to the unique subfolder.
-    const fileUrlMapping = await uploadHlsFilesToS3(
-      s3Client,
-      awsBucketName,
-      uniqueSubfolder
-    );
+    // A render replaced within the grace period is still in storage (its cleanup is still queued):
+    // point the lock back at it instead of rendering again. Its key version is still on the lock.
+    const pendingCleanup = revision.OutputPrefix && revision.OutputPrefix !== lock.OutputPrefix
+      ? await Job.deleteOne({
+        Type: 'gc-output',
+        Status: 'queued',
+        'Payload.lockId': lock._id,
+        'Payload.prefix': revision.OutputPrefix
+      })
+      : { deletedCount: 0 };
+    if (pendingCleanup.deletedCount === 1) {
+      const previousPrefix = lock.OutputPrefix;
+      lock.LockJsonObject.locks = revision.Locks;
+      lock.LockJsonObject.lockedcontenturl = revision.BlackoutUrl;
+      lock.LockJsonObject.thumbnailtrackurl = revision.ThumbnailTrackUrl || null;
+      lock.LockedContentUrl = revision.BlackoutUrl;
+      lock.Renditions = revision.Renditions;
+      lock.Captions = revision.Captions || [];
+      lock.OutputPrefix = revision.OutputPrefix;
+      lock.CurrentRevision = (lock.CurrentRevision || 1) + 1;
+      await lock.save();
+      await scheduleOutputCleanup(lock, previousPrefix, { storageProfile, awsData });
+      await recordLockRevision(lock, {
+        action: 'rollback',
+        rolledBackTo: revisionNumber,
+        userId: callerIdentity(req).userId,
+        normalUrl: revision.NormalUrl,
+        blackoutUrl: revision.BlackoutUrl,
+        keyVersion: revision.KeyVersion
+      });
+      emitWebhookEvent(lock.PlatformID, 'lock.modified', {
+        ...lockEventData(lock),
+        action: 'rollback',
+        jobId: null,
+        normalUrl: revision.NormalUrl,
+        blackoutUrl: revision.BlackoutUrl
+      });
+      return res.status(200).json({
+        message: "Lock rolled back to its kept render",
+        lock_id: lock.LockJsonObject.lockId,
+        revision: lock.CurrentRevision,
+        normalUrl: revision.NormalUrl,
+        blackoutUrl: revision.BlackoutUrl,
+        thumbnailTrackUrl: revision.ThumbnailTrackUrl || null,
+        playbackUrl: `${PUBLIC_BASE_URL}/playback/${lock.LockJsonObject.lockId}`
+      });
+    }
     
-    // Update the M3U8 playlists to use S3 URLs.
-    const updatedNormalPlaylist = updatePlaylistContent(normalPlaylistPath, fileUrlMapping);
-    const updatedBlackoutPlaylist = updatePlaylistContent(blackoutPlaylistPath, fileUrlMapping);
-    
-    // Upload the updated playlists.
-    const finalNormalKey = uniqueSubfolder + 'output.m3u8';
-    const finalBlackoutKey = uniqueSubfolder + 'blackout.m3u8';
-    const normalUrl = await uploadToS3(
-      s3Client,
-      Buffer.from(updatedNormalPlaylist, 'utf8'),
-      awsBucketName,
-      finalNormalKey,
-      'application/vnd.apple.mpegurl'
-    );
-    const blackoutUrl = await uploadToS3(
-      s3Client,
-      Buffer.from(updatedBlackoutPlaylist, 'utf8'),
-      awsBucketName,
-      finalBlackoutKey,
-      'application/vnd.apple.mpegurl'
+    const originalKey = originalKeyForLock(lock, storage);
+    if (!originalKey) {
+      return res.status(500).json({ message: "Invalid original content URL." });
+    }
+    const { errors, locks } = await validateLockRequest(
+      storage,
+      originalKey,
+      {
+        blackoutLocks: revision.Locks["blackout-locks"] || [],
+        replacementLocks: revision.Locks["replacement-video-locks"] || [],
+        imageLocks: revision.Locks["image-locks"] || [],
+        muteLocks: revision.Locks["mute-locks"] || [],
+        regionLocks: revision.Locks["region-locks"] || []
+      },
+      { totalDuration: lock.Duration }
     );
-    
-    // Clean up local files.
-    fs.unlinkSync(localMp4Path);
-    const hlsFiles = fs.readdirSync(outputDir);
-    for (const file of hlsFiles) {
-      fs.unlinkSync(path.join(outputDir, file));
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Revision cannot be rendered.", errors });
     }
     
-    // (Optional) Save record in the database.
-    const lockId = uuidv4();
-    const lockJsonObject = {
-      lockId,
-      originalcontentUrl: `https://${awsBucketName}.s3.${awsRegion}.amazonaws.com/${awsOriginalKey}`,
-      contentId,
-      lockedcontenturl: blackoutUrl,
-      locks: {
-        "replacement-video-locks": [],
-        "image-locks": [],
-        "blackout-locks": (blackoutLocks || []).map(lock => ({
-          bl_id: uuidv4(),
-          startTime: Number(lock.startTime),
-          endTime: Number(lock.endTime)
-        }))
+    const job = await Job.create({
+      Type: 'modify-AES',
+      LockID: lock.LockJsonObject.lockId,
+      PlatformID: lock.PlatformID,
+      Payload: {
+        awsData: sealAwsData(awsData),
+        storageProfile: storageProfile || null,
+        userId: callerIdentity(req).userId,
+        lockId: lock._id,
+        newBlackoutLocks: locks.blackoutLocks,
+        newReplacementLocks: locks.replacementLocks,
+        newImageLocks: locks.imageLocks,
+        newMuteLocks: locks.muteLocks,
+        newRegionLocks: locks.regionLocks,
+        renditions: revision.Renditions.length ? toRenditionLadder(revision.Renditions) : null,
+        folder: lock.OutputFolder || lock.OutputPrefix,
+        rollbackTo: revisionNumber
       }
-    };
-    
-    const newLock = new Lock({
-      PlatformID: platformId,
-      UserID: userId,
-      OriginalContentUrl: lockJsonObject.originalcontentUrl,
-      LockedContentUrl: blackoutUrl,
-      LockJsonObject: lockJsonObject
     });
-    const savedLock = await newLock.save();
-    
-    return res.status(201).json({
-      message: 'Lock created successfully',
-      lock_id: lockJsonObject.lockId,
-      normalUrl,
-      blackoutUrl
+    return res.status(202).json({
+      message: "Rollback queued",
+      jobId: job._id,
+      lock_id: lock.LockJsonObject.lockId,
+      statusUrl: `/jobs/${job._id}`
     });
   } catch (error) {
-    console.error("Error in /create-lock-from-json:", error);
-    return res.status(500).json({ message: 'Server error', error: error.message });
+    console.error("Error in /locks/:lockId/rollback:", error);
+    return res.status(500).json({ message: error.message });
   }
 });
 
 /**
- * POST /download-folder-from-json
- * Expects: { awsData, folderPrefix }
- * Downloads all files from the given S3 folder into the local hls_output directory.
+ * Reads a text object (a playlist) from storage.
  */
-app.post('/download-video', async (req, res) => {
-  try {
-    const { awsData, folderPrefix } = req.body;
-    const s3Client = new S3Client({
-      region: awsData.awsRegion,
-      credentials: {
-        accessKeyId: awsData.awsAccessKeyId,
-        secretAccessKey: awsData.awsSecretAccessKey
+async function readStorageText(storage, key) {
+  const chunks = [];
+  for await (const chunk of await storage.getStream(key)) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Resolves the storage a lock's output lives in, for serving it to viewers.
+ * Returns { storage } or { error, status }.
+ */
+async function resolvePlaybackStorage(lock) {
+  if (!lock.OutputPrefix) {
+    return { status: 409, error: "This lock has no rendered output to play back." };
+  }
+  // Locks rendered with inline credentials keep them (sealed) in StorageAccess.
+  const storageAccess = lock.StorageProfile
+    ? null
+    : (await Lock.findById(lock._id).select('+StorageAccess').setOptions({ withDeleted: true })).StorageAccess;
+  if (!lock.StorageProfile && !storageAccess) {
+    return { status: 409, error: "This lock was rendered before its storage settings were recorded and cannot be played back." };
+  }
+  const { storage, error } = await resolveStorage(lock.PlatformID, lock.StorageProfile, unsealAwsData(storageAccess));
+  return error ? { status: 409, error } : { storage };
+}
+
+/**
+ * Sends the master playlist of the variant the viewer is entitled to: the unlocked one if they have
+ * an active Unlock in Quota, the locked one otherwise. Rendition and subtitle entries point at
+ * /playback media playlist URLs carrying a playback token for that variant.
+ */
+async function sendPlaybackMaster(req, res, lock) {
+  const { userId } = callerIdentity(req);
+  if (!(await canViewLock(req, lock, userId))) {
+    return res.status(400).json({ message: "Missing or invalid userId." });
+  }
+  const { storage, error, status } = await resolvePlaybackStorage(lock);
+  if (error) {
+    return res.status(status).json({ message: error });
+  }
+  const variant = (await isUnlockedFor(lock, userId)) ? 'unlocked' : 'locked';
+  const masterKey = variant === 'unlocked'
+    ? `${lock.OutputPrefix}${PRIVATE_FOLDER}master.m3u8`
+    : `${lock.OutputPrefix}blackout-master.m3u8`;
+  const lockId = lock.LockJsonObject.lockId;
+  const token = issuePlaybackToken(lockId, userId, variant);
+  
+  // Rendition playlists live in "<rendition>/<name>.m3u8" and caption playlists in
+  // "captions/<track>/<name>.m3u8"; only the folder name is needed.
+  const folderOf = url => path.posix.basename(path.posix.dirname(storage.keyFromUrl(url) || url));
+  const content = (await readStorageText(storage, masterKey))
+    .split('\n')
+    .map(line => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('#EXT-X-MEDIA:')) {
+        return line.replace(/URI="([^"]*)"/, (match, uri) =>
+          `URI="${PUBLIC_BASE_URL}/playback/${lockId}/captions/${encodeURIComponent(folderOf(uri))}.m3u8?token=${token}"`);
       }
-    });
-    
-    // Recreate (or clean) the output directory.
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir);
-    } else {
-      const oldFiles = fs.readdirSync(outputDir);
-      for (const file of oldFiles) {
-        fs.unlinkSync(path.join(outputDir, file));
+      if (!trimmed || trimmed.startsWith('#')) {
+        return line;
       }
+      return `${PUBLIC_BASE_URL}/playback/${lockId}/${encodeURIComponent(folderOf(trimmed))}.m3u8?token=${token}`;
+    })
+    .join('\n');
+  res.set('Content-Type', 'application/vnd.apple.mpegurl');
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).send(content);
+}
+
+/**
+ * Sends the media playlist stored at playlistKey with its segment URLs presigned for
+ * PLAYBACK_URL_TTL seconds and a key token for the viewer's grant ({ variant, userId }) added to the key URIs.
+ */
+async function sendPlaybackMediaPlaylist(res, storage, playlistKey, lockId, grant) {
+  const { token: keyToken } = issueKeyToken(lockId, grant.userId, grant.variant);
+  const lines = [];
+  for (const line of (await readStorageText(storage, playlistKey)).split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#EXT-X-KEY:')) {
+      lines.push(line.replace(/URI="([^"]*)"/, (match, uri) =>
+        `URI="${uri}${uri.includes('?') ? '&' : '?'}token=${keyToken}"`));
+    } else if (trimmed && !trimmed.startsWith('#')) {
+      const segmentKey = storage.keyFromUrl(trimmed);
+      lines.push(segmentKey ? await storage.presign(segmentKey, PLAYBACK_URL_TTL) : line);
+    } else {
+      lines.push(line);
     }
-    
-    // List objects in the given folderPrefix.
-    const listParams = {
-      Bucket: awsData.awsBucketName,
-      Prefix: folderPrefix
-    };
-    const listCommand = new ListObjectsV2Command(listParams);
-    const data = await s3Client.send(listCommand);
-    if (!data.Contents || data.Contents.length === 0) {
-      return res.status(404).json({ message: "No files found in that prefix." });
+  }
+  res.set('Content-Type', 'application/vnd.apple.mpegurl');
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).send(lines.join('\n'));
+}
+
+/**
+ * GET /playback/content/:contentId
+ * Same as GET /playback/:lockId for the caller's platform's lock of the given content.
+ */
+app.get('/playback/content/:contentId', authenticate, async (req, res) => {
+  try {
+    const query = { "LockJsonObject.contentId": req.params.contentId };
+    if (!req.auth.operator) {
+      query.PlatformID = req.auth.platformId;
     }
-    
-    // Download each file.
-    const s3UrlPrefix = `https://${awsData.awsBucketName}.s3.${awsData.awsRegion}.amazonaws.com/${folderPrefix}`;
-    for (const obj of data.Contents) {
-      if (obj.Key.endsWith('/')) continue;
-      const getObjectParams = { Bucket: awsData.awsBucketName, Key: obj.Key };
-      const getObjectCommand = new GetObjectCommand(getObjectParams);
-      const fileResponse = await s3Client.send(getObjectCommand);
-      
-      const relative = obj.Key.substring(folderPrefix.length);
-      const localFilePath = path.join(outputDir, relative);
-      await streamPipeline(fileResponse.Body, fs.createWriteStream(localFilePath));
-      
-      // If the file is an m3u8 playlist, remove the S3 URL prefix.
-      if (localFilePath.endsWith('.m3u8')) {
-        let content = fs.readFileSync(localFilePath, 'utf-8');
-        content = content
-          .split('\n')
-          .map(line => {
-            if (line.startsWith(s3UrlPrefix)) {
-              return line.replace(s3UrlPrefix, '');
-            }
-            return line;
-          })
-          .join('\n');
-        fs.writeFileSync(localFilePath, content);
-      }
+    const lock = await Lock.findOne(query);
+    if (!lock) {
+      return res.status(404).json({ message: "Lock not found." });
     }
-    
-    return res.json({ message: "Folder downloaded successfully" });
+    return await sendPlaybackMaster(req, res, lock);
   } catch (error) {
-    console.error("Error in /download-folder-from-json:", error);
+    console.error("Error in /playback/content:", error);
     return res.status(500).json({ message: error.message });
   }
 });
 
 /**
- * POST /modify-AES
- * Expects a JSON body with:
- * {
- *   lockId,
- *   awsData: {
- *     awsAccessKeyId,
- *     awsSecretAccessKey,
- *     awsRegion,
- *     awsBucketName,
- *     awsDestinationFolder
- *   },
- *   newBlackoutLocks: [ { startTime, endTime }, ... ]
- * }
- * 
- * This endpoint fetches the existing lock record, downloads the original video from S3 (inferring the original key from the stored URL),
- * re-processes it with the new blackout lock timings (using createM3U8WithExactSegments),
- * deletes the old folder content in S3,
- * uploads the new HLS files, and then updates the lock record with the new blackout locks and locked content URL.
+ * GET /playback/:lockId
+ * Returns the master playlist the calling viewer may watch (the operator passes ?userId=).
+ * Players then fetch the rendition playlists from the URLs inside, which need no API key.
  */
-app.post('/modify-AES', async (req, res) => {
-    try {
-      // Expect awsData, lockId, newBlackoutLocks and folder in the payload.
-      const { awsData, lockId, newBlackoutLocks, folder } = req.body;
-      console.log("Lock ID:", lockId);
-      if (!awsData || !lockId || !newBlackoutLocks || !folder) {
-        return res.status(400).json({ message: "Missing required fields." });
-      }
-      const { awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName } = awsData;
-      if (!awsAccessKeyId || !awsSecretAccessKey || !awsRegion || !awsBucketName) {
-        return res.status(400).json({ message: "Missing required AWS data." });
-      }
-      
-      // Find the lock document using lockId.
-      const lock = await Lock.findOne({ _id: lockId });
-      if (!lock) {
-        return res.status(404).json({ message: "Lock not found." });
-      }
-      
-      // Extract original video key from the stored originalcontentUrl.
-      const originalUrl = lock.LockJsonObject.originalcontentUrl;
-      const urlParts = originalUrl.split('.amazonaws.com/');
-      if (urlParts.length < 2) {
-        return res.status(500).json({ message: "Invalid original content URL." });
-      }
-      const awsOriginalKey = urlParts[1];
-      
-      // Create an S3 client.
-      const s3Client = new S3Client({
-        region: awsRegion,
-        credentials: {
-          accessKeyId: awsAccessKeyId,
-          secretAccessKey: awsSecretAccessKey
-        }
-      });
-      
-      // Download the original MP4 to a local temporary file.
-      const getCommand = new GetObjectCommand({ Bucket: awsBucketName, Key: awsOriginalKey });
-      const data = await s3Client.send(getCommand);
-      const localMp4Path = path.join(TMP_DIR, `${Date.now()}-original.mp4`);
-      await streamPipeline(data.Body, fs.createWriteStream(localMp4Path));
-      
-      // Process the video into new HLS playlists using the new blackout locks.
-      const { normalPlaylistPath, blackoutPlaylistPath } = createM3U8WithExactSegments(localMp4Path, newBlackoutLocks);
-      
-      // Use the folder provided by the client.
-      // It is assumed that the folder string already contains the full destination path,
-      // e.g., "AES-videos/first-json-show-videos/".
-      const uniqueSubfolder = folder;
-      
-      // Delete existing folder content in S3.
-      const listParams = { Bucket: awsBucketName, Prefix: uniqueSubfolder };
-      const listCommand = new ListObjectsV2Command(listParams);
-      const listData = await s3Client.send(listCommand);
-      if (listData.Contents && listData.Contents.length > 0) {
-        const objectsToDelete = listData.Contents.map(obj => ({ Key: obj.Key }));
-        const deleteParams = { Bucket: awsBucketName, Delete: { Objects: objectsToDelete, Quiet: false } };
-        const deleteCommand = new DeleteObjectsCommand(deleteParams);
-        await s3Client.send(deleteCommand);
-      }
-      
-      // Upload new HLS files to S3.
-      const fileUrlMapping = await uploadHlsFilesToS3(s3Client, awsBucketName, uniqueSubfolder);
-      // Update the playlists to replace local segment filenames with S3 URLs.
-      const updatedNormalPlaylist = updatePlaylistContent(normalPlaylistPath, fileUrlMapping);
-      const updatedBlackoutPlaylist = updatePlaylistContent(blackoutPlaylistPath, fileUrlMapping);
-      
-      // Upload the updated playlists.
-      const finalNormalKey = uniqueSubfolder + 'output.m3u8';
-      const finalBlackoutKey = uniqueSubfolder + 'blackout.m3u8';
-      const normalUrl = await uploadToS3(
-        s3Client,
-        Buffer.from(updatedNormalPlaylist, 'utf8'),
-        awsBucketName,
-        finalNormalKey,
-        'application/vnd.apple.mpegurl'
-      );
-      const blackoutUrl = await uploadToS3(
-        s3Client,
-        Buffer.from(updatedBlackoutPlaylist, 'utf8'),
-        awsBucketName,
-        finalBlackoutKey,
-        'application/vnd.apple.mpegurl'
-      );
-      
-      // Clean up local temporary files.
-      fs.unlinkSync(localMp4Path);
-      const hlsFiles = fs.readdirSync(outputDir);
-      for (const file of hlsFiles) {
-        fs.unlinkSync(path.join(outputDir, file));
-      }
-      
-      // Update the lock document.
-      // Map the new blackout locks to include a new bl_id for each.
-      const updatedBlackoutLocks = newBlackoutLocks.map(b => ({
-        bl_id: uuidv4(),
-        startTime: Number(b.startTime),
-        endTime: Number(b.endTime)
-      }));
-      lock.LockJsonObject.locks["blackout-locks"] = updatedBlackoutLocks;
-      lock.LockJsonObject.lockedcontenturl = blackoutUrl;
-      await lock.save();
-      
-      return res.status(200).json({
-        message: "Lock modified successfully",
-        lock: lock,
-        normalUrl,
-        blackoutUrl
-      });
-    } catch (error) {
-      console.error("Error in /modify-AES:", error);
-      return res.status(500).json({ message: error.message });
+app.get('/playback/:lockId', authenticate, async (req, res) => {
+  try {
+    const lock = await Lock.findOne({ "LockJsonObject.lockId": req.params.lockId });
+    if (!lock || !canAccessPlatform(req, lock.PlatformID)) {
+      return res.status(404).json({ message: "Lock not found." });
     }
-  });
-  
+    return await sendPlaybackMaster(req, res, lock);
+  } catch (error) {
+    console.error("Error in /playback:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
 
 /**
- * POST /delete-folder-from-json
- * Expects a JSON body with:
- * {
- *   awsData: { awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName, folderPrefix },
- *   lockId
- * }
- * Looks up the lock using lockId to get the contentId, then deletes the folder
- * (i.e. all objects with key prefix: folderPrefix + contentId + '/') from S3.
+ * GET /playback/:lockId/:rendition.m3u8?token=
+ * Returns a rendition's media playlist for the variant the playback token grants, with segment
+ * URLs presigned for PLAYBACK_URL_TTL seconds and a key token added to the key URIs.
  */
-app.post('/delete-AES', async (req, res) => {
+app.get('/playback/:lockId/:rendition.m3u8', async (req, res) => {
   try {
-    const { awsData, lockId } = req.body;
-    if (!awsData || !lockId) {
-      return res.status(400).json({ message: "Missing awsData or lockId in request body." });
+    const { lockId, rendition } = req.params;
+    const grant = verifyPlaybackToken(lockId, req.query.token);
+    if (!grant) {
+      return res.status(403).json({ message: "Invalid or expired playback token." });
+    }
+    const { variant } = grant;
+    const lock = await Lock.findOne({ "LockJsonObject.lockId": lockId });
+    if (!lock) {
+      return res.status(404).json({ message: "Lock not found." });
     }
-    const { awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName, folderPrefix } = awsData;
-    if (!awsAccessKeyId || !awsSecretAccessKey || !awsRegion || !awsBucketName || !folderPrefix) {
-      return res.status(400).json({ message: "Missing required AWS data." });
+    if (variant === 'unlocked' && !(await isUnlockedFor(lock, grant.userId))) {
+      return res.status(403).json({ message: "Content is no longer unlocked for this viewer." });
+    }
+    if (!lock.Renditions.some(r => r.Name === rendition)) {
+      return res.status(404).json({ message: "Rendition not found." });
+    }
+    const { storage, error, status } = await resolvePlaybackStorage(lock);
+    if (error) {
+      return res.status(status).json({ message: error });
     }
     
-    // Find the lock document using the provided lockId.
+    const playlistKey = variant === 'unlocked'
+      ? `${lock.OutputPrefix}${PRIVATE_FOLDER}${rendition}/output.m3u8`
+      : `${lock.OutputPrefix}${rendition}/blackout.m3u8`;
+    return await sendPlaybackMediaPlaylist(res, storage, playlistKey, lockId, grant);
+  } catch (error) {
+    console.error("Error in /playback/:lockId/:rendition:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /playback/:lockId/captions/:track.m3u8?token=
+ * Returns a caption track's WebVTT playlist for the variant the playback token grants, with
+ * segment URLs presigned for PLAYBACK_URL_TTL seconds. The locked variant's captions have the
+ * cues inside lock windows suppressed.
+ */
+app.get('/playback/:lockId/captions/:track.m3u8', async (req, res) => {
+  try {
+    const { lockId, track } = req.params;
+    const grant = verifyPlaybackToken(lockId, req.query.token);
+    if (!grant) {
+      return res.status(403).json({ message: "Invalid or expired playback token." });
+    }
+    const { variant } = grant;
     const lock = await Lock.findOne({ "LockJsonObject.lockId": lockId });
     if (!lock) {
       return res.status(404).json({ message: "Lock not found." });
     }
-    const contentId = lock.LockJsonObject.contentId;
-    if (!contentId) {
-      return res.status(400).json({ message: "Content ID not found in lock document." });
+    if (variant === 'unlocked' && !(await isUnlockedFor(lock, grant.userId))) {
+      return res.status(403).json({ message: "Content is no longer unlocked for this viewer." });
+    }
+    if (!(lock.Captions || []).some(t => t.Name === track)) {
+      return res.status(404).json({ message: "Caption track not found." });
+    }
+    const { storage, error, status } = await resolvePlaybackStorage(lock);
+    if (error) {
+      return res.status(status).json({ message: error });
     }
     
-    // Normalize the folderPrefix and build the full folder key.
-    const normalizedPrefix = folderPrefix.endsWith('/') ? folderPrefix : folderPrefix + '/';
-    const folderToDelete = normalizedPrefix + contentId + '/';
-    
-    // Create a new S3 client.
-    const s3Client = new S3Client({
-      region: awsRegion,
-      credentials: {
-        accessKeyId: awsAccessKeyId,
-        secretAccessKey: awsSecretAccessKey
+    const playlistKey = variant === 'unlocked'
+      ? `${lock.OutputPrefix}${PRIVATE_FOLDER}${CAPTIONS_FOLDER}${track}/output.m3u8`
+      : `${lock.OutputPrefix}${CAPTIONS_FOLDER}${track}/blackout.m3u8`;
+    return await sendPlaybackMediaPlaylist(res, storage, playlistKey, lockId, grant);
+  } catch (error) {
+    console.error("Error in /playback/:lockId/captions/:track:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Returns the status and progress of a create-AES / modify-AES job,
+ * plus the final URLs once it has succeeded or the error once it has failed.
+ */
+app.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Job not found." });
+    }
+    const job = await Job.findById(req.params.id);
+    if (!job || !canAccessPlatform(req, job.PlatformID)) {
+      return res.status(404).json({ message: "Job not found." });
+    }
+    // Jobs finished before key tokens were bound to viewers still carry one in their result.
+    const { keyToken, keyTokenExpiresAt, ...result } = job.Result || {};
+    return res.status(200).json({
+      jobId: job._id,
+      type: job.Type,
+      status: job.Status,
+      lock_id: job.LockID,
+      step: job.Progress.Step,
+      segment: job.Progress.Segment,
+      totalSegments: job.Progress.TotalSegments,
+      percent: job.Progress.Percent,
+      result: job.Result ? result : null,
+      error: job.ErrorMessage,
+      createdAt: job.CreatedAt,
+      startedAt: job.StartedAt,
+      finishedAt: job.FinishedAt
+    });
+  } catch (error) {
+    console.error("Error in /jobs:", error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Queues the deletion of a render the lock no longer points at, to run once the grace period
+ * (OUTPUT_GC_GRACE_SECONDS) is over. Inline awsData credentials are kept on the job, encrypted, until then.
+ */
+async function scheduleOutputCleanup(lock, prefix, { storageProfile, awsData }) {
+  if (!prefix || prefix === lock.OutputPrefix) {
+    return null;
+  }
+  return Job.create({
+    Type: 'gc-output',
+    LockID: lock.LockJsonObject.lockId,
+    PlatformID: lock.PlatformID,
+    NotBefore: new Date(Date.now() + OUTPUT_GC_GRACE_SECONDS * 1000),
+    Payload: {
+      awsData: storageProfile ? null : sealAwsData(awsData),
+      storageProfile: storageProfile || null,
+      lockId: lock._id,
+      prefix
+    }
+  });
+}
+
+/**
+ * Runs a queued gc-output job: deletes a replaced render. Anything the lock points at again by
+ * now (after a rollback) and the rev-N folders below a pre-versioning output folder are kept.
+ * Returns the job result: { prefix, deleted, errors }.
+ */
+async function processOutputCleanupJob(job) {
+  const { awsData, storageProfile, lockId, prefix } = job.Payload;
+  const lock = await Lock.findById(lockId);
+  const { storage, error: storageError } = await resolveStorage(job.PlatformID, storageProfile, unsealAwsData(awsData));
+  if (storageError) {
+    throw new Error(storageError);
+  }
+  const { keys } = await storage.list(prefix);
+  const staleKeys = keys.filter(key =>
+    !(lock && lock.OutputPrefix && key.startsWith(lock.OutputPrefix)) &&
+    !/^rev-\d+\//.test(key.slice(prefix.length))
+  );
+  const { deleted, errors } = await storage.deleteMany(staleKeys);
+  return { prefix, deleted: deleted.length, errors };
+}
+
+// Job processors by job type, and the share of overall progress each step covers.
+const JOB_HANDLERS = {
+  'create-AES': processCreateAESJob,
+  'modify-AES': processModifyAESJob,
+  'gc-output': processOutputCleanupJob
+};
+const JOB_STEP_PROGRESS = {
+  downloading: [0, 10],
+  encoding: [10, 80],
+  encrypting: [80, 85],
+  uploading: [85, 98],
+  saving: [98, 100]
+};
+
+/**
+ * Returns a callback the job processors use to persist their current step
+ * (and segment n of m while encoding) on the job document.
+ */
+function createJobProgressReporter(job) {
+  return async ({ step, segment = 0, totalSegments = 0 }) => {
+    const [from, to] = JOB_STEP_PROGRESS[step];
+    const fraction = totalSegments ? segment / totalSegments : 0;
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        'Progress.Step': step,
+        'Progress.Segment': segment,
+        'Progress.TotalSegments': totalSegments,
+        'Progress.Percent': Math.round(from + (to - from) * fraction)
       }
     });
-    
-    // List objects in the folder.
-    const listParams = {
-      Bucket: awsBucketName,
-      Prefix: folderToDelete
-    };
-    const listCommand = new ListObjectsV2Command(listParams);
-    const listData = await s3Client.send(listCommand);
-    
-    if (!listData.Contents || listData.Contents.length === 0) {
-      return res.status(404).json({ message: "No objects found in the specified folder." });
+  };
+}
+
+/**
+ * Runs a claimed job to completion and records its result or error.
+ * Each job gets its own scratch directory, which is removed whether the job succeeds or fails.
+ * The AWS credentials are dropped from the stored payload once the job is finished.
+ */
+async function runJob(job) {
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, `job-${job._id}-`));
+  try {
+    const result = await JOB_HANDLERS[job.Type](job, createJobProgressReporter(job), workDir);
+    await Job.updateOne({ _id: job._id }, {
+      $set: {
+        Status: 'succeeded',
+        Result: result,
+        FinishedAt: new Date(),
+        'Progress.Step': 'done',
+        'Progress.Percent': 100
+      },
+      $unset: { 'Payload.awsData': '' }
+    });
+  } catch (error) {
+    console.error(`Error in job ${job._id} (${job.Type}):`, error);
+    await Job.updateOne({ _id: job._id }, {
+      $set: { Status: 'failed', ErrorMessage: error.message, FinishedAt: new Date() },
+      $unset: { 'Payload.awsData': '' }
+    });
+    if (job.Type === 'create-AES' || job.Type === 'modify-AES') {
+      emitWebhookEvent(job.PlatformID, 'render.failed', {
+        jobId: job._id,
+        type: job.Type,
+        lockId: job.LockID,
+        contentId: job.Payload.contentId || null,
+        error: error.message
+      });
     }
-    
-    // Prepare objects for deletion.
-    const objectsToDelete = listData.Contents.map(obj => ({ Key: obj.Key }));
-    const deleteParams = {
-      Bucket: awsBucketName,
-      Delete: {
-        Objects: objectsToDelete,
-        Quiet: false
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Starts the background worker: clears scratch directories and unfinished uploads, and requeues jobs left over
+ * from a restart, then polls for queued jobs and runs them one at a time, oldest first.
+ * Jobs with a NotBefore date are skipped until it has passed.
+ */
+async function startJobWorker() {
+  for (const entry of fs.readdirSync(TMP_DIR)) {
+    if (entry.startsWith('job-') || entry.startsWith('upload-')) {
+      fs.rmSync(path.join(TMP_DIR, entry), { recursive: true, force: true });
+    }
+  }
+  await Job.updateMany({ Status: 'running' }, { $set: { Status: 'queued', StartedAt: null } });
+  let busy = false;
+  setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      let job;
+      while ((job = await Job.findOneAndUpdate(
+        { Status: 'queued', $or: [{ NotBefore: null }, { NotBefore: { $lte: new Date() } }] },
+        { $set: { Status: 'running', StartedAt: new Date(), 'Progress.Step': 'starting' } },
+        { sort: { CreatedAt: 1 }, new: true }
+      ))) {
+        await runJob(job);
       }
-    };
-    const deleteCommand = new DeleteObjectsCommand(deleteParams);
-    const deleteResult = await s3Client.send(deleteCommand);
-    
-    return res.status(200).json({ message: "Folder deleted successfully", deleteResult });
+    } catch (error) {
+      console.error("Error in job worker:", error);
+    } finally {
+      busy = false;
+    }
+  }, JOB_POLL_INTERVAL_MS);
+}
+
+/**
+ * Identifies a lock in webhook event data.
+ */
+function lockEventData(lock) {
+  return {
+    lockId: lock.LockJsonObject.lockId,
+    contentId: lock.LockJsonObject.contentId,
+    platformId: lock.PlatformID,
+    revision: lock.CurrentRevision
+  };
+}
+
+/**
+ * Queues a delivery of `event` for every active webhook of the platform subscribed to it.
+ * All deliveries of one event share the payload id, so receivers can drop duplicates.
+ * Returns the number of deliveries queued.
+ */
+async function queueWebhookDeliveries(platformId, event, data) {
+  if (!platformId) {
+    return 0;
+  }
+  const webhooks = await Webhook.find({ PlatformID: platformId, Active: true, Events: event });
+  if (webhooks.length === 0) {
+    return 0;
+  }
+  const payload = { id: uuidv4(), event, createdAt: new Date(), data };
+  await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    WebhookID: webhook._id,
+    PlatformID: platformId,
+    Event: event,
+    Payload: payload
+  })));
+  return webhooks.length;
+}
+
+/**
+ * Fires a webhook event without holding up the caller: deliveries are queued in the background
+ * and sent by the webhook worker. Errors are logged, never thrown.
+ */
+function emitWebhookEvent(platformId, event, data) {
+  queueWebhookDeliveries(platformId, event, data)
+    .then(queued => {
+      if (queued) setImmediate(runWebhookDeliveries);
+    })
+    .catch(error => console.error(`Error queueing ${event} webhooks:`, error));
+}
+
+/**
+ * Returns the webhook's signing secret, or null if it cannot be decrypted (e.g. STORAGE_MASTER_KEY changed).
+ */
+function readWebhookSecret(webhook) {
+  try {
+    return decryptSecret(webhook.EncryptedSecret);
   } catch (error) {
-    console.error("Error in /delete-folder-from-json:", error);
-    return res.status(500).json({ message: error.message });
+    console.error(`Error decrypting the secret of webhook ${webhook._id}:`, error);
+    return null;
   }
-});
+}
+
+/**
+ * Makes one attempt at a claimed delivery and records the outcome: succeeded, pending with the
+ * next retry time, or failed once WEBHOOK_MAX_ATTEMPTS attempts have been made. Deliveries whose
+ * signing secret cannot be decrypted fail at once, since retrying cannot help.
+ */
+async function attemptWebhookDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.WebhookID).select('+EncryptedSecret');
+  const secret = webhook && webhook.Active ? readWebhookSecret(webhook) : null;
+  let result;
+  if (!webhook || !webhook.Active) {
+    result = { ok: false, status: null, error: webhook ? "Webhook is inactive." : "Webhook was deleted." };
+  } else if (!secret) {
+    result = { ok: false, status: null, error: "Webhook secret could not be decrypted." };
+  } else {
+    result = await sendWebhook({ url: webhook.Url, secret, deliveryId: delivery._id, payload: delivery.Payload });
+  }
+  
+  const update = { ResponseStatus: result.status, ErrorMessage: result.error };
+  if (result.ok) {
+    update.Status = 'succeeded';
+    update.DeliveredAt = new Date();
+  } else if (!webhook || !webhook.Active || !secret || delivery.Attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    update.Status = 'failed';
+  } else {
+    update.Status = 'pending';
+    update.NextAttemptAt = new Date(Date.now() + webhookRetryDelay(delivery.Attempts));
+  }
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+}
+
+let webhookWorkerBusy = false;
+
+/**
+ * Sends every delivery that is due, one at a time. Runs on a timer and right after events are queued;
+ * a run that starts while another is going returns at once.
+ */
+async function runWebhookDeliveries() {
+  if (webhookWorkerBusy) return;
+  webhookWorkerBusy = true;
+  try {
+    let delivery;
+    while ((delivery = await WebhookDelivery.findOneAndUpdate(
+      { Status: 'pending', NextAttemptAt: { $lte: new Date() } },
+      { $set: { Status: 'sending', LastAttemptAt: new Date() }, $inc: { Attempts: 1 } },
+      { sort: { NextAttemptAt: 1 }, new: true }
+    ))) {
+      await attemptWebhookDelivery(delivery);
+    }
+  } catch (error) {
+    console.error("Error in webhook worker:", error);
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
+
+/**
+ * Starts the webhook worker: deliveries interrupted by a restart are sent again, then due
+ * deliveries are polled for every WEBHOOK_POLL_INTERVAL_MS.
+ */
+async function startWebhookWorker() {
+  await WebhookDelivery.updateMany({ Status: 'sending' }, { $set: { Status: 'pending', NextAttemptAt: new Date() } });
+  setInterval(runWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS);
+}
 
 // Start the Express server on port 3000.
 const PORT = 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    startJobWorker().catch(err => console.error('Error starting job worker:', err));
+    startWebhookWorker().catch(err => console.error('Error starting webhook worker:', err));
+  });
+}
+
+// Helpers without database access, for the tests in test/.
+module.exports = {
+  app,
+  buildThumbnailTrack,
+  diffLockSets,
+  isLockedVariantFile,
+  isUnlockedOutput,
+  issueKeyToken,
+  issuePlaybackToken,
+  planSourcePieces,
+  quotaPeriodBounds,
+  signViewerToken,
+  toCsv,
+  validateRenditionLadder,
+  verifyPlaybackToken,
+  verifyViewerToken,
+  writeCaptionRendition
+};
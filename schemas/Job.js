@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JobSchema = new Schema({
+  Type: { type: String, required: true, enum: ['create-AES', 'modify-AES', 'gc-output'] },
+  Status: { type: String, required: true, enum: ['queued', 'running', 'succeeded', 'failed'], default: 'queued' },
+  LockID: { type: String, default: null }, // LockJsonObject.lockId of the lock being created/modified
+  PlatformID: { type: Schema.Types.ObjectId, ref: 'Platform', default: null }, // Platform the job runs for
+  Payload: { type: Schema.Types.Mixed, required: true }, // Validated request body the worker runs with; inline credentials sealed (see sealAwsData)
+  Progress: {
+    Step: { type: String, default: 'queued' },
+    Segment: { type: Number, default: 0 },
+    TotalSegments: { type: Number, default: 0 },
+    Percent: { type: Number, default: 0 }
+  },
+  Result: { type: Schema.Types.Mixed, default: null }, // Final URLs once succeeded
+  ErrorMessage: { type: String, default: null },
+  NotBefore: { type: Date, default: null }, // Queued jobs wait until then, e.g. output cleanup after a grace period
+  CreatedAt: { type: Date, default: Date.now },
+  StartedAt: { type: Date, default: null },
+  FinishedAt: { type: Date, default: null }
+});
+
+module.exports = mongoose.model('Job', JobSchema);
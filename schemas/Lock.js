@@ -12,6 +12,7 @@ const LockSchema = new Schema({
       originalcontentUrl: { type: String, required: true },
       contentId: { type: String, required: true },
       lockedcontenturl: { type: String, default: null },
+      thumbnailtrackurl: { type: String, default: null }, // WebVTT scrub-bar thumbnails of the locked render
       locks: {
         "replacement-video-locks": [{
           vl_id: { type: String, required: true },
@@ -22,18 +23,101 @@ const LockSchema = new Schema({
         "image-locks": [{
           il_id: { type: String, required: true },
           time: { type: Number, required: true },
-          imageUrl: { type: String, required: true }
+          imageUrl: { type: String, required: true },
+          duration: { type: Number, default: 5 }, // Seconds the still is shown for
+          mode: { type: String, enum: ['overlay', 'insert'], default: 'overlay' } // Replace the original span or insert before it
         }],
         "blackout-locks": [{
           bl_id: { type: String, required: true },
           startTime: { type: Number, required: true },
           endTime: { type: Number, required: true }
+        }],
+        "mute-locks": [{
+          ml_id: { type: String, required: true },
+          startTime: { type: Number, required: true },
+          endTime: { type: Number, required: true },
+          mode: { type: String, enum: ['silence', 'tone'], default: 'silence' } // Drop the audio or play a bleep
+        }],
+        "region-locks": [{
+          rl_id: { type: String, required: true },
+          startTime: { type: Number, required: true },
+          endTime: { type: Number, required: true },
+          mode: { type: String, enum: ['blur', 'pixelate', 'fill'], default: 'blur' },
+          color: { type: String }, // "#RRGGBB", fill mode only
+          // Rectangles normalized to 0-1 of the frame, so they apply to every rendition
+          regions: [{
+            _id: false,
+            x: { type: Number, required: true },
+            y: { type: Number, required: true },
+            width: { type: Number, required: true },
+            height: { type: Number, required: true }
+          }]
         }]
       }
     },
     required: true
   },
-  CreatedAt: { type: Date, default: Date.now }
+  // AES-128 content keys, one set per render. Never returned unless explicitly selected.
+  EncryptionKeys: {
+    type: [{
+      Version: { type: Number, required: true },
+      Key: { type: String, required: true }, // Hex-encoded 16-byte key
+      IV: { type: String, required: true }, // Hex-encoded 16-byte IV
+      // Key and IV of the segments only the unlocked variant plays; absent on renders from before the split
+      UnlockedKey: { type: String },
+      UnlockedIV: { type: String },
+      CreatedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  CurrentKeyVersion: { type: Number, default: 1 },
+  // ABR ladder the HLS output was rendered with; each has its own folder and media playlists.
+  Renditions: [{
+    Name: { type: String, required: true },
+    Width: { type: Number, required: true },
+    Height: { type: Number, required: true },
+    VideoBitrate: { type: Number, default: null }, // kbps, null when rendered at source quality
+    Bandwidth: { type: Number } // Peak bits/s advertised in the master playlist
+  }],
+  // Subtitle renditions of the current render, one folder below captions/ each.
+  Captions: [{
+    Name: { type: String, required: true }, // Folder name, e.g. "en" or "en-2"
+    Language: { type: String, default: 'und' },
+    Label: { type: String },
+    Default: { type: Boolean, default: false },
+    Origin: { type: String, enum: ['embedded', 'sidecar'], required: true },
+    SourceUrl: { type: String, default: null } // Object key or URL of a sidecar file, re-read on every render
+  }],
+  CaptionNotice: { type: String, default: null }, // Replaces captions inside lock windows; null uses CAPTION_LOCK_NOTICE
+  // Where the original and the HLS output live; credentials are never stored here.
+  Storage: {
+    Type: { type: String, enum: ['s3', 'local'], default: 's3' },
+    Bucket: { type: String },
+    Region: { type: String, default: null },
+    Endpoint: { type: String, default: null }, // S3-compatible endpoint, null for AWS
+    ForcePathStyle: { type: Boolean, default: false }
+  },
+  OriginalKey: { type: String, default: null }, // Storage key of the original video
+  Duration: { type: Number, default: null }, // Seconds, as probed from the original when the lock was created
+  OutputFolder: { type: String, default: null }, // Storage folder of the content; one rev-N subfolder per render
+  OutputPrefix: { type: String, default: null }, // Storage folder holding the current HLS output
+  StorageProfile: { type: String, default: null }, // Platform storage profile the output was written with
+  // Inline storage settings (credentials sealed) the output was written with when there was no profile
+  StorageAccess: { type: Schema.Types.Mixed, default: null, select: false },
+  CurrentRevision: { type: Number, default: 1 }, // Revision number in LockRevision the output reflects
+  CreatedAt: { type: Date, default: Date.now },
+  DeletedAt: { type: Date, default: null } // Set when the output is deleted; the document is kept unless purged
+});
+
+// GET /locks filters on platform and contentId prefix and sorts on CreatedAt or contentId.
+LockSchema.index({ PlatformID: 1, CreatedAt: -1 });
+LockSchema.index({ "LockJsonObject.contentId": 1 });
+
+// Soft-deleted locks are hidden from queries unless the query sets { withDeleted: true }.
+LockSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], function () {
+  if (!this.getOptions().withDeleted) {
+    this.where({ DeletedAt: null });
+  }
 });
 
 module.exports = mongoose.model('Lock', LockSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One immutable snapshot per create, modify or rollback of a lock.
+const LockRevisionSchema = new Schema({
+  LockID: { type: Schema.Types.ObjectId, ref: 'Lock', required: true, immutable: true }, // Reference to Lock _id
+  Revision: { type: Number, required: true, immutable: true }, // 1 for the create, then counting up
+  Action: { type: String, required: true, enum: ['create', 'modify', 'rollback'], immutable: true },
+  RolledBackTo: { type: Number, default: null, immutable: true }, // Revision a rollback restored
+  UserID: { type: Schema.Types.ObjectId, ref: 'User', default: null, immutable: true }, // Author; null for the operator
+  Locks: { type: Schema.Types.Mixed, required: true, immutable: true }, // LockJsonObject.locks at this revision
+  Renditions: { type: Schema.Types.Mixed, default: [], immutable: true },
+  Captions: { type: Schema.Types.Mixed, default: [], immutable: true },
+  OutputPrefix: { type: String, default: null, immutable: true },
+  NormalUrl: { type: String, default: null, immutable: true },
+  BlackoutUrl: { type: String, default: null, immutable: true },
+  ThumbnailTrackUrl: { type: String, default: null, immutable: true },
+  KeyVersion: { type: Number, default: null, immutable: true },
+  CreatedAt: { type: Date, default: Date.now, immutable: true }
+});
+
+LockRevisionSchema.index({ LockID: 1, Revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('LockRevision', LockRevisionSchema);
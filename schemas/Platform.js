@@ -8,6 +8,27 @@ const PlatformSchema = new Schema({
   EmailID: { type: String, required: true, unique: true },
   Address: { type: String },
   Description: { type: String },
+  Active: { type: Boolean, default: true }, // Inactive platforms' users can no longer authenticate
+  // Limits on how often the platform's users may unlock content; null means unlimited.
+  QuotaPolicy: {
+    UnlocksPerPeriod: { type: Number, default: null }, // Unlocks per user per period, across all content
+    Period: { type: String, enum: ['day', 'week', 'month'], default: 'month' },
+    UnlocksPerContent: { type: Number, default: null } // Unlocks per user per content, all time
+  },
+  // Named storage credentials the platform's requests refer to by name.
+  StorageProfiles: [{
+    Name: { type: String, required: true },
+    Type: { type: String, enum: ['s3', 'local'], default: 's3' },
+    Bucket: { type: String, required: true },
+    Region: { type: String, default: null },
+    Endpoint: { type: String, default: null }, // S3-compatible endpoint, null for AWS
+    ForcePathStyle: { type: Boolean, default: false },
+    AccessKeyId: { type: String, default: null },
+    EncryptedSecret: { type: String, default: null, select: false }, // AES-256-GCM under STORAGE_MASTER_KEY
+    CreatedAt: { type: Date, default: Date.now },
+    RotatedAt: { type: Date, default: null },
+    RevokedAt: { type: Date, default: null } // Revoked profiles keep their metadata but lose the secret
+  }],
   CreatedAt: { type: Date, default: Date.now }
 });
 
@@ -7,7 +7,24 @@ const QuotaSchema = new Schema({
   ContentID: { type: String, required: true },
   UserID: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   LockAction: { type: String, required: true, enum: ['Lock', 'Unlock'] },
-  Timestamp: { type: Date, default: Date.now }
+  Timestamp: { type: Date, default: Date.now },
+  Sequence: { type: Number }, // The user's n-th action on the lock; absent on rows from before it was recorded
+  DeletedAt: { type: Date, default: null } // Set when the lock it belongs to is deleted
+});
+
+// Quota checks count a user's actions per platform over time.
+QuotaSchema.index({ PlatformID: 1, UserID: 1, LockAction: 1, Timestamp: -1 });
+// Two concurrent actions of a user on a lock would both take the same Sequence; only one is recorded.
+QuotaSchema.index(
+  { LockID: 1, UserID: 1, Sequence: 1 },
+  { unique: true, partialFilterExpression: { Sequence: { $type: 'number' } } }
+);
+
+// Rows of deleted locks are hidden from queries unless the query sets { withDeleted: true }.
+QuotaSchema.pre(['find', 'findOne', 'countDocuments'], function () {
+  if (!this.getOptions().withDeleted) {
+    this.where({ DeletedAt: null });
+  }
 });
 
 module.exports = mongoose.model('Quota', QuotaSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Unlocks a user has used against one quota limit, so the limit can be enforced with a single
+// conditional update. Seeded from the Quota rows when missing; decremented when Unlock rows are removed.
+const QuotaCounterSchema = new Schema({
+  PlatformID: { type: Schema.Types.ObjectId, ref: 'Platform', required: true },
+  UserID: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  Key: { type: String, required: true }, // "period:<type>:<start ISO date>" or "content:<contentId>"
+  Count: { type: Number, default: 0 },
+  ExpiresAt: { type: Date, default: null } // End of the period for period counters; content counters do not expire
+});
+
+QuotaCounterSchema.index({ PlatformID: 1, UserID: 1, Key: 1 }, { unique: true });
+QuotaCounterSchema.index({ ExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QuotaCounter', QuotaCounterSchema);
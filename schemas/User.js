@@ -10,6 +10,16 @@ const UserSchema = new Schema({
   Gender: { type: String },
   Phone: { type: String },
   UserDescription: { type: String },
+  Active: { type: Boolean, default: true }, // Deactivated users keep their records but cannot authenticate
+  DeactivatedAt: { type: Date, default: null },
+  // API keys identifying this user; only a SHA-256 hash of each key is kept.
+  ApiKeys: [{
+    KeyId: { type: String, required: true },
+    Prefix: { type: String, required: true }, // First characters of the key, to tell keys apart
+    Hash: { type: String, required: true, select: false, index: true },
+    CreatedAt: { type: Date, default: Date.now },
+    RevokedAt: { type: Date, default: null }
+  }],
   CreatedAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { WEBHOOK_EVENTS } = require('../webhooks');
+
+const WebhookSchema = new Schema({
+  PlatformID: { type: Schema.Types.ObjectId, ref: 'Platform', required: true },
+  Url: { type: String, required: true },
+  Events: { type: [{ type: String, enum: WEBHOOK_EVENTS }], required: true }, // Events the endpoint is subscribed to
+  EncryptedSecret: { type: String, required: true, select: false }, // Signing secret, AES-256-GCM under STORAGE_MASTER_KEY
+  Active: { type: Boolean, default: true }, // Inactive webhooks receive no new deliveries
+  CreatedAt: { type: Date, default: Date.now },
+  SecretRotatedAt: { type: Date, default: null }
+});
+
+WebhookSchema.index({ PlatformID: 1, Events: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One event sent (or to be sent) to one webhook, with the outcome of its latest attempt.
+const WebhookDeliverySchema = new Schema({
+  WebhookID: { type: Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  PlatformID: { type: Schema.Types.ObjectId, ref: 'Platform', required: true },
+  Event: { type: String, required: true },
+  Payload: { type: Schema.Types.Mixed, required: true }, // Event body as sent: { id, event, createdAt, data }
+  Status: { type: String, required: true, enum: ['pending', 'sending', 'succeeded', 'failed'], default: 'pending' },
+  Attempts: { type: Number, default: 0 },
+  NextAttemptAt: { type: Date, default: Date.now }, // When a pending delivery is (re)tried
+  LastAttemptAt: { type: Date, default: null },
+  ResponseStatus: { type: Number, default: null }, // HTTP status of the latest attempt, null if no response
+  ErrorMessage: { type: String, default: null },
+  ReplayOf: { type: Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null }, // Delivery this one re-sends
+  CreatedAt: { type: Date, default: Date.now },
+  DeliveredAt: { type: Date, default: null }
+});
+
+// The delivery worker claims pending deliveries whose retry time has come.
+WebhookDeliverySchema.index({ Status: 1, NextAttemptAt: 1 });
+WebhookDeliverySchema.index({ WebhookID: 1, CreatedAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * Returns the 32-byte key storage secrets are encrypted with. STORAGE_MASTER_KEY is either
+ * 64 hex characters or any passphrase, which is hashed down to 32 bytes.
+ */
+function masterKey() {
+  const secret = process.env.STORAGE_MASTER_KEY;
+  if (!secret) {
+    throw new Error("STORAGE_MASTER_KEY is not configured.");
+  }
+  return /^[0-9a-fA-F]{64}$/.test(secret)
+    ? Buffer.from(secret, 'hex')
+    : crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypts a secret with AES-256-GCM. Returns "iv.authTag.ciphertext", each part base64.
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Reverses encryptSecret; throws if the value was tampered with or the master key changed.
+ */
+function decryptSecret(encrypted) {
+  const [iv, authTag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encryptSecret, decryptSecret };
@@ -0,0 +1,158 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createS3Storage } = require('./s3');
+const { createLocalStorage } = require('./local');
+const { encryptSecret, decryptSecret } = require('./credentials');
+
+// Root folder of the local-disk backend; each platform has a subfolder holding its buckets.
+const LOCAL_STORAGE_ROOT = path.resolve(process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '..', 'storage_data'));
+// Secret presigned local-disk URLs are signed with. Without LOCAL_STORAGE_URL_SECRET a random one is used,
+// so presigned URLs stop working when the process restarts (and are not shared between processes).
+const LOCAL_URL_SECRET = process.env.LOCAL_STORAGE_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature of a local object path ("<namespace>/<bucket>/<key>") valid until `expires` (unix seconds).
+ */
+function signLocalPath(objectPath, expires) {
+  return crypto.createHmac('sha256', LOCAL_URL_SECRET).update(`${objectPath}\n${expires}`).digest('base64url');
+}
+
+/**
+ * True if { expires, signature } (query parameters of a presigned local URL) are valid for objectPath now.
+ */
+function verifyLocalUrl(objectPath, { expires, signature }) {
+  if (typeof expires !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(expires)) {
+    return false;
+  }
+  if (Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(signLocalPath(objectPath, expires));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Creates a storage backend from a structured config:
+ * { type: 's3' | 'local', bucket, region?, accessKeyId?, secretAccessKey?, endpoint?, forcePathStyle?, namespace? }
+ * Local buckets live in the `namespace` folder (the owning platform's id), so platforms never share them.
+ * publicBaseUrl is where this server is reachable; local files are served below `${publicBaseUrl}/storage`.
+ */
+function createStorage(config, publicBaseUrl) {
+  if (config.type === 'local') {
+    if (!/^[A-Za-z0-9_-]+$/.test(config.namespace || '')) {
+      throw new Error('Local storage needs the namespace of the owning platform.');
+    }
+    return createLocalStorage({
+      root: path.join(LOCAL_STORAGE_ROOT, config.namespace),
+      bucket: config.bucket,
+      publicBaseUrl: `${publicBaseUrl.replace(/\/$/, '')}/storage/${config.namespace}`,
+      sign: (objectPath, expires) => signLocalPath(`${config.namespace}/${objectPath}`, expires)
+    });
+  }
+  return createS3Storage(config);
+}
+
+/**
+ * Maps the awsData object that routes accept onto a storage config.
+ * awsData: { storageType?, awsAccessKeyId, awsSecretAccessKey, awsRegion, awsBucketName, awsEndpoint?, awsForcePathStyle? }
+ */
+function storageConfigFromAwsData(awsData) {
+  return {
+    type: awsData.storageType === 'local' ? 'local' : 's3',
+    bucket: awsData.awsBucketName,
+    region: awsData.awsRegion,
+    accessKeyId: awsData.awsAccessKeyId,
+    secretAccessKey: awsData.awsSecretAccessKey,
+    endpoint: awsData.awsEndpoint,
+    forcePathStyle: awsData.awsForcePathStyle
+  };
+}
+
+/**
+ * Maps a platform storage profile (loaded with its EncryptedSecret) onto a storage config.
+ */
+function storageConfigFromProfile(profile) {
+  return {
+    type: profile.Type,
+    bucket: profile.Bucket,
+    region: profile.Region,
+    accessKeyId: profile.AccessKeyId,
+    secretAccessKey: profile.EncryptedSecret ? decryptSecret(profile.EncryptedSecret) : undefined,
+    endpoint: profile.Endpoint,
+    forcePathStyle: profile.ForcePathStyle
+  };
+}
+
+/**
+ * Copy of awsData that is safe to persist (e.g. on a queued job): the inline credentials are replaced
+ * by a single encryptSecret blob. Needs STORAGE_MASTER_KEY whenever credentials are present.
+ */
+function sealAwsData(awsData) {
+  if (!awsData) {
+    return null;
+  }
+  const { awsAccessKeyId, awsSecretAccessKey, encryptedCredentials, ...rest } = awsData;
+  if (!awsAccessKeyId && !awsSecretAccessKey) {
+    return rest;
+  }
+  return { ...rest, encryptedCredentials: encryptSecret(JSON.stringify({ awsAccessKeyId, awsSecretAccessKey })) };
+}
+
+/**
+ * Reverses sealAwsData. Plain awsData (from jobs queued before sealing) is returned as is.
+ */
+/**
+ * The storage settings of inline awsData (no folders or object keys) with the credentials sealed,
+ * kept on a lock rendered without a storage profile so its output can be read again. Null without awsData.
+ */
+function sealStorageAccess(awsData) {
+  if (!awsData) {
+    return null;
+  }
+  const { storageType, awsBucketName, awsRegion, awsEndpoint, awsForcePathStyle, awsAccessKeyId, awsSecretAccessKey } = awsData;
+  return sealAwsData({ storageType, awsBucketName, awsRegion, awsEndpoint, awsForcePathStyle, awsAccessKeyId, awsSecretAccessKey });
+}
+
+function unsealAwsData(sealed) {
+  if (!sealed || !sealed.encryptedCredentials) {
+    return sealed || null;
+  }
+  const { encryptedCredentials, ...rest } = sealed;
+  return { ...rest, ...JSON.parse(decryptSecret(encryptedCredentials)) };
+}
+
+/**
+ * Returns an error message if awsData lacks what its storage type needs, otherwise null.
+ */
+function validateAwsData(awsData) {
+  if (!awsData.awsBucketName) {
+    return "Missing awsBucketName.";
+  }
+  if (awsData.storageType === 'local') {
+    return /^[A-Za-z0-9._-]+$/.test(awsData.awsBucketName) && !awsData.awsBucketName.startsWith('.')
+      ? null
+      : "Invalid awsBucketName for local storage.";
+  }
+  if (!awsData.awsAccessKeyId || !awsData.awsSecretAccessKey) {
+    return "Missing AWS credentials.";
+  }
+  if (!awsData.awsRegion && !awsData.awsEndpoint) {
+    return "Missing awsRegion or awsEndpoint.";
+  }
+  return null;
+}
+
+module.exports = {
+  LOCAL_STORAGE_ROOT,
+  createStorage,
+  decryptSecret,
+  encryptSecret,
+  sealAwsData,
+  sealStorageAccess,
+  storageConfigFromAwsData,
+  storageConfigFromProfile,
+  unsealAwsData,
+  validateAwsData,
+  verifyLocalUrl
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage backend that keeps objects as plain files under root/<bucket>/<key>.
+ * Meant for on-prem installs and offline testing; files are served at `${publicBaseUrl}/<bucket>/<key>`.
+ * sign(path, expires) returns the signature of "<bucket>/<key>" for presigned URLs.
+ */
+function createLocalStorage({ root, bucket, publicBaseUrl, sign }) {
+  const bucketDir = path.resolve(root, bucket);
+  const baseUrl = `${publicBaseUrl.replace(/\/$/, '')}/${bucket}/`;
+
+  // Resolves a key to a path, refusing keys that would escape the bucket directory.
+  const resolveKey = key => {
+    const filePath = path.resolve(bucketDir, key);
+    if (!filePath.startsWith(bucketDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(entryPath) : [entryPath];
+  });
+
+  return {
+    type: 'local',
+
+    describe() {
+      return { Type: 'local', Bucket: bucket, Region: null, Endpoint: null, ForcePathStyle: false };
+    },
+
+    urlFor(key) {
+      return baseUrl + key;
+    },
+
+    keyFromUrl(url) {
+      return url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null;
+    },
+
+    async upload(key, body, contentType) {
+      const filePath = resolveKey(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        fs.writeFileSync(filePath, body);
+      } else {
+        await new Promise((resolve, reject) => {
+          body.pipe(fs.createWriteStream(filePath)).on('finish', resolve).on('error', reject);
+          body.on('error', reject);
+        });
+      }
+      return baseUrl + key;
+    },
+
+    /**
+     * Object URL with an expiry and a signature, which the /storage mount requires for every file
+     * that is not part of a locked variant (originals, private output, caption sidecars).
+     */
+    async presign(key, expiresIn = 3600) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl}${key}?expires=${expires}&signature=${sign(`${bucket}/${key}`, expires)}`;
+    },
+
+    /**
+     * Path of the object on disk, so tools like ffprobe can read it in place.
+     */
+    localPath(key) {
+      return resolveKey(key);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) {
+        const error = new Error(`No such key: ${key}`);
+        error.name = 'NoSuchKey';
+        throw error;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async list(prefix, { delimiter } = {}) {
+      if (!fs.existsSync(bucketDir)) {
+        return { keys: [], prefixes: [] };
+      }
+      const allKeys = walk(bucketDir)
+        .map(filePath => path.relative(bucketDir, filePath).split(path.sep).join('/'))
+        .filter(key => key.startsWith(prefix))
+        .sort();
+      if (!delimiter) {
+        return { keys: allKeys, prefixes: [] };
+      }
+      const keys = [];
+      const prefixes = new Set();
+      for (const key of allKeys) {
+        const rest = key.slice(prefix.length);
+        const index = rest.indexOf(delimiter);
+        if (index === -1) {
+          keys.push(key);
+        } else {
+          prefixes.add(prefix + rest.slice(0, index + delimiter.length));
+        }
+      }
+      return { keys, prefixes: [...prefixes] };
+    },
+
+    async deleteMany(keys) {
+      const deleted = [];
+      const errors = [];
+      for (const key of keys) {
+        try {
+          fs.rmSync(resolveKey(key), { force: true });
+          deleted.push(key);
+        } catch (error) {
+          errors.push({ key, code: error.code || 'Error', message: error.message });
+        }
+      }
+      return { deleted, errors };
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,134 @@
+const {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  DeleteObjectsCommand
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const http = require('http');
+const https = require('https');
+const { publicLookup } = require('../validation/urls');
+
+// Most keys a single DeleteObjects request accepts.
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Storage backend for AWS S3 and S3-compatible services (MinIO, R2, ...).
+ * Options: { bucket, region, accessKeyId, secretAccessKey, endpoint?, forcePathStyle? }
+ * Without an endpoint, URLs use the AWS virtual-hosted style. Custom endpoints are only ever
+ * connected to on public addresses (see publicLookup).
+ */
+function createS3Storage({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle }) {
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: { accessKeyId, secretAccessKey },
+    requestHandler: endpoint
+      ? {
+        httpAgent: new http.Agent({ keepAlive: true, lookup: publicLookup }),
+        httpsAgent: new https.Agent({ keepAlive: true, lookup: publicLookup })
+      }
+      : undefined
+  });
+  const endpointUrl = endpoint ? new URL(endpoint) : null;
+  const baseUrl = endpointUrl
+    ? (forcePathStyle
+      ? `${endpointUrl.origin}/${bucket}/`
+      : `${endpointUrl.protocol}//${bucket}.${endpointUrl.host}/`)
+    : `https://${bucket}.s3.${region}.amazonaws.com/`;
+
+  return {
+    type: 's3',
+    client,
+
+    /**
+     * Structured, secret-free description of where this storage points.
+     */
+    describe() {
+      return {
+        Type: 's3',
+        Bucket: bucket,
+        Region: region || null,
+        Endpoint: endpoint || null,
+        ForcePathStyle: Boolean(forcePathStyle)
+      };
+    },
+
+    urlFor(key) {
+      return baseUrl + key;
+    },
+
+    /**
+     * Returns the object key for a URL produced by urlFor, or null if it points elsewhere.
+     */
+    keyFromUrl(url) {
+      return url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null;
+    },
+
+    async upload(key, body, contentType) {
+      const upload = new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType }
+      });
+      await upload.done();
+      return baseUrl + key;
+    },
+
+    /**
+     * Returns a URL that allows a GET of the object for expiresIn seconds, even if it is private.
+     */
+    presign(key, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    async getStream(key) {
+      const data = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return data.Body;
+    },
+
+    /**
+     * Lists all objects under a prefix, following continuation tokens past the 1000-key page size.
+     * With a delimiter, "folders" come back in `prefixes`.
+     */
+    async list(prefix, { delimiter } = {}) {
+      const keys = [];
+      const prefixes = [];
+      let continuationToken;
+      do {
+        const data = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          Delimiter: delimiter,
+          ContinuationToken: continuationToken
+        }));
+        keys.push(...(data.Contents || []).map(obj => obj.Key));
+        prefixes.push(...(data.CommonPrefixes || []).map(p => p.Prefix));
+        continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return { keys, prefixes };
+    },
+
+    /**
+     * Deletes the given keys in batches of 1000 (the DeleteObjects limit).
+     * Returns the keys deleted and the per-key errors S3 reported.
+     */
+    async deleteMany(keys) {
+      const deleted = [];
+      const errors = [];
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        const result = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: false }
+        }));
+        deleted.push(...(result.Deleted || []).map(d => d.Key));
+        errors.push(...(result.Errors || []).map(e => ({ key: e.Key, code: e.Code, message: e.Message })));
+      }
+      return { deleted, errors };
+    }
+  };
+}
+
+module.exports = { createS3Storage };
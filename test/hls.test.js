@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  buildThumbnailTrack,
+  isLockedVariantFile,
+  isUnlockedOutput,
+  planSourcePieces,
+  validateRenditionLadder,
+  writeCaptionRendition
+} = require('..');
+
+test('planSourcePieces copies between keyframes and re-encodes the edges', () => {
+  assert.deepStrictEqual(planSourcePieces(1, 29, [0, 2, 12, 24], 60, true), [
+    { start: 1, end: 2, copy: false },
+    { start: 2, end: 24, copy: true },
+    { start: 24, end: 29, copy: false }
+  ]);
+});
+
+test('planSourcePieces re-encodes everything when copying is not possible or not worth it', () => {
+  assert.deepStrictEqual(planSourcePieces(1, 29, [0, 2, 12, 24], 60, false), [{ start: 1, end: 29, copy: false }]);
+  assert.deepStrictEqual(planSourcePieces(1, 5, [0, 2, 4], 60, true), [{ start: 1, end: 5, copy: false }]);
+});
+
+test('planSourcePieces copies up to the end of the file', () => {
+  assert.deepStrictEqual(planSourcePieces(24, 60, [0, 12, 24, 36], 60, true), [{ start: 24, end: 60, copy: true }]);
+});
+
+test('buildThumbnailTrack points cues at sprite tiles and shifts them past inserted images', () => {
+  const track = buildThumbnailTrack(2, 15, 160, 90, [{ start: 5, duration: 3 }]).split('\n');
+  assert.deepStrictEqual(track, [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:05.000',
+    'sprite_000.jpg#xywh=0,0,160,90',
+    '',
+    '00:00:08.000 --> 00:00:13.000',
+    'sprite_000.jpg#xywh=0,0,160,90',
+    '',
+    '00:00:13.000 --> 00:00:18.000',
+    'sprite_000.jpg#xywh=160,0,160,90',
+    ''
+  ]);
+});
+
+test('writeCaptionRendition segments cues and marks inserts and lock boundaries as discontinuities', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cues = [{ start: 1, end: 4, settings: '', text: 'Hello' }, { start: 9, end: 11, settings: '', text: 'World' }];
+  const playlistPath = writeCaptionRendition(dir, 'blackout', cues, 12, [{ start: 3, duration: 2 }], [9]);
+  const playlist = fs.readFileSync(playlistPath, 'utf8').split('\n');
+  assert.deepStrictEqual(playlist.filter(line => line.startsWith('#EXTINF') || line.endsWith('.vtt') || line === '#EXT-X-DISCONTINUITY'), [
+    '#EXTINF:3.000000,', 'blackout_000.vtt',
+    '#EXT-X-DISCONTINUITY', '#EXTINF:2.000000,', 'blackout_001.vtt',
+    '#EXT-X-DISCONTINUITY', '#EXTINF:3.000000,', 'blackout_002.vtt',
+    '#EXTINF:3.000000,', 'blackout_003.vtt',
+    '#EXT-X-DISCONTINUITY', '#EXTINF:3.000000,', 'blackout_004.vtt'
+  ]);
+  assert.match(fs.readFileSync(path.join(dir, 'blackout_000.vtt'), 'utf8'), /00:00:01\.000 --> 00:00:04\.000\nHello/);
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'blackout_001.vtt'), 'utf8'), /-->/);
+  assert.match(fs.readFileSync(path.join(dir, 'blackout_004.vtt'), 'utf8'), /World/);
+});
+
+test('validateRenditionLadder rejects duplicate, reserved and odd-height rungs', () => {
+  const rung = (name, height) => ({ name, height, videoBitrate: 1000 });
+  assert.strictEqual(validateRenditionLadder([rung('720p', 720), rung('480p', 480)]), null);
+  assert.match(validateRenditionLadder([rung('720p', 720), rung('720p', 480)]), /unique/);
+  assert.match(validateRenditionLadder([rung('captions', 720)]), /reserved/);
+  assert.match(validateRenditionLadder([rung('rev-2', 720)]), /reserved/);
+  assert.match(validateRenditionLadder([rung('odd', 721)]), /even/);
+  assert.ok(validateRenditionLadder([]));
+});
+
+test('only locked-variant files count as public output', () => {
+  for (const file of ['blackout-master.m3u8', '720p/blackout.m3u8', '720p/segment_001_0_002.ts', '720p/blackout_003_000.ts',
+    'captions/en/blackout_004.vtt', 'thumbnails/thumbnails.vtt', 'thumbnails/sprite_000.jpg']) {
+    assert.strictEqual(isLockedVariantFile(file), true, file);
+  }
+  for (const file of ['master.m3u8', '720p/output.m3u8', '720p/hidden_002_0_000.ts', 'captions/en/output_004.vtt', 'originals/a.mp4']) {
+    assert.strictEqual(isLockedVariantFile(file), false, file);
+  }
+  assert.strictEqual(isUnlockedOutput('720p/hidden_002_0_000.ts'), true);
+});
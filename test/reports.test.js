@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffLockSets, quotaPeriodBounds, toCsv } = require('..');
+
+test('toCsv quotes separators and neutralizes formulas', () => {
+  const csv = toCsv(['name', 'note'], [
+    { name: 'a,b', note: 'said "hi"' },
+    { name: '=SUM(A1)', note: null }
+  ]);
+  assert.strictEqual(csv, 'name,note\n"a,b","said ""hi"""\n\'=SUM(A1),\n');
+});
+
+test('diffLockSets matches locks on their content, not their ids', () => {
+  const diff = diffLockSets(
+    { 'blackout-locks': [{ bl_id: '1', startTime: 0, endTime: 5 }, { bl_id: '2', startTime: 10, endTime: 15 }] },
+    { 'blackout-locks': [{ bl_id: '3', startTime: 0, endTime: 5 }, { bl_id: '4', startTime: 20, endTime: 25 }] }
+  );
+  assert.strictEqual(diff['blackout-locks'].unchanged, 1);
+  assert.deepStrictEqual(diff['blackout-locks'].added, [{ bl_id: '4', startTime: 20, endTime: 25 }]);
+  assert.deepStrictEqual(diff['blackout-locks'].removed, [{ bl_id: '2', startTime: 10, endTime: 15 }]);
+  assert.deepStrictEqual(diff['mute-locks'], { added: [], removed: [], unchanged: 0 });
+});
+
+test('quotaPeriodBounds covers the UTC day, ISO week or month containing the date', () => {
+  const date = new Date('2024-02-29T13:45:00Z'); // A Thursday
+  assert.deepStrictEqual(quotaPeriodBounds('day', date), {
+    start: new Date('2024-02-29T00:00:00Z'),
+    end: new Date('2024-03-01T00:00:00Z')
+  });
+  assert.deepStrictEqual(quotaPeriodBounds('week', date), {
+    start: new Date('2024-02-26T00:00:00Z'),
+    end: new Date('2024-03-04T00:00:00Z')
+  });
+  assert.deepStrictEqual(quotaPeriodBounds('month', date), {
+    start: new Date('2024-02-01T00:00:00Z'),
+    end: new Date('2024-03-01T00:00:00Z')
+  });
+});
@@ -0,0 +1,36 @@
+// The token helpers read KEY_TOKEN_SECRET when index.js is loaded.
+process.env.KEY_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { signViewerToken, verifyViewerToken, issuePlaybackToken, verifyPlaybackToken } = require('..');
+
+const lockId = 'a3c1e7c2-6f1d-4a59-9b8e-0c2d1f4e5a6b';
+const userId = '65f0c0ffee0123456789abcd';
+
+test('a viewer token verifies for its lock, purpose and viewer', () => {
+  const { token, expiresAt } = signViewerToken('key', lockId, userId, 'unlocked', 60);
+  assert.ok(expiresAt > new Date());
+  assert.deepStrictEqual(verifyViewerToken('key', lockId, token), { variant: 'unlocked', userId });
+});
+
+test('an expired token is rejected', () => {
+  const { token } = signViewerToken('key', lockId, userId, 'unlocked', -1);
+  assert.strictEqual(verifyViewerToken('key', lockId, token), null);
+});
+
+test('a tampered token is rejected', () => {
+  const { token } = signViewerToken('key', lockId, userId, 'locked', 60);
+  const [variant, user, expiresAt, signature] = token.split('.');
+  assert.strictEqual(verifyViewerToken('key', lockId, [`unlocked`, user, expiresAt, signature].join('.')), null);
+  assert.strictEqual(verifyViewerToken('key', lockId, [variant, user, Number(expiresAt) + 3600, signature].join('.')), null);
+  assert.strictEqual(verifyViewerToken('key', lockId, [variant, user, expiresAt, signature.replace(/.$/, 'é')].join('.')), null);
+  assert.strictEqual(verifyViewerToken('key', lockId, 'not-a-token'), null);
+});
+
+test('a token does not stand in for another lock or purpose', () => {
+  const { token } = signViewerToken('key', lockId, userId, 'unlocked', 60);
+  assert.strictEqual(verifyViewerToken('key', 'another-lock', token), null);
+  assert.strictEqual(verifyPlaybackToken(lockId, token), null);
+  assert.deepStrictEqual(verifyPlaybackToken(lockId, issuePlaybackToken(lockId, userId, 'locked')), { variant: 'locked', userId });
+});
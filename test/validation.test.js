@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateLockDefinitions } = require('../validation/locks');
+const { validateCaptionRequest } = require('../validation/captions');
+const { isPrivateAddress } = require('../validation/urls');
+
+const noLocks = { blackoutLocks: [], replacementLocks: [], imageLocks: [], muteLocks: [], regionLocks: [] };
+const options = { totalDuration: 60, resolution: { width: 1280, height: 720 }, defaultImageDuration: 5 };
+
+test('validateLockDefinitions normalizes numeric strings and fills in image defaults', () => {
+  const { errors, locks } = validateLockDefinitions({
+    ...noLocks,
+    blackoutLocks: [{ startTime: '10', endTime: '20' }],
+    imageLocks: [{ time: 30, imageUrl: 'images/still.png' }]
+  }, options);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(locks.blackoutLocks, [{ startTime: 10, endTime: 20 }]);
+  assert.strictEqual(locks.imageLocks[0].duration, 5);
+});
+
+test('validateLockDefinitions rejects spans past the end, reversed spans and bad types', () => {
+  const { errors } = validateLockDefinitions({
+    ...noLocks,
+    blackoutLocks: [{ startTime: 50, endTime: 70 }, { startTime: 20, endTime: 10 }, { startTime: 'soon', endTime: 5 }]
+  }, options);
+  const fields = errors.map(error => error.field);
+  assert.ok(fields.includes('blackoutLocks[0].endTime'));
+  assert.ok(fields.includes('blackoutLocks[1]'));
+  assert.ok(fields.includes('blackoutLocks[2].startTime'));
+});
+
+test('validateLockDefinitions merges overlapping blackouts only under the merge policy', () => {
+  const input = { ...noLocks, blackoutLocks: [{ startTime: 10, endTime: 20 }, { startTime: 15, endTime: 25 }] };
+  assert.strictEqual(validateLockDefinitions(input, options).errors.length, 1);
+  const merged = validateLockDefinitions(input, { ...options, overlapPolicy: 'merge' });
+  assert.deepStrictEqual(merged.errors, []);
+  assert.deepStrictEqual(merged.locks.blackoutLocks, [{ startTime: 10, endTime: 25 }]);
+});
+
+test('validateLockDefinitions rejects region rectangles outside the frame', () => {
+  const { errors } = validateLockDefinitions({
+    ...noLocks,
+    regionLocks: [{ startTime: 0, endTime: 5, regions: [{ x: 0.9, y: 0, width: 0.5, height: 0.5 }] }]
+  }, options);
+  assert.deepStrictEqual(errors.map(error => error.field), ['regionLocks[0].regions[0]']);
+});
+
+test('validateCaptionRequest defaults language and label', () => {
+  const { errors, captions } = validateCaptionRequest({ captions: [{ source: 'captions/en.srt' }] });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(captions[0].language, 'und');
+  assert.strictEqual(captions[0].label, 'und');
+});
+
+test('validateCaptionRequest rejects bad languages and control characters in labels', () => {
+  const { errors } = validateCaptionRequest({
+    captions: [
+      { source: 'captions/en.srt', language: 'english!' },
+      { source: 'captions/fr.srt', language: 'fr', label: 'French\n#EXT-X-ENDLIST' }
+    ]
+  });
+  assert.deepStrictEqual(errors.map(error => error.field), ['captions[0].language', 'captions[1].label']);
+});
+
+test('isPrivateAddress blocks loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
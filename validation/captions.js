@@ -0,0 +1,68 @@
+// BCP 47 style language tag, e.g. "en", "pt-BR", "zh-Hant".
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/;
+const MAX_LABEL_LENGTH = 100;
+const MAX_NOTICE_LENGTH = 200;
+// Labels end up in playlist attributes, where a line break would start a new playlist tag.
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Validates the caption fields of a request.
+ *
+ * input: {
+ *   captions?: [ { source, language?, label?, default? }, ... ] - source is an object key in the
+ *     bucket or a full http(s) URL of an SRT, WebVTT or ASS file, like the lock assets,
+ *   captionNotice?: text the locked variant shows instead of captions inside lock windows;
+ *     "" drops them, null/absent uses the server default
+ * }
+ * Returns { errors: [{ field, message }], captions, captionNotice }. captions have language
+ * defaulting to "und" and label to the language; they are only meaningful when errors is empty.
+ */
+function validateCaptionRequest(input) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  const captions = [];
+
+  if (input.captions !== undefined && input.captions !== null) {
+    if (!Array.isArray(input.captions)) {
+      addError('captions', 'Must be a list.');
+    } else {
+      input.captions.forEach((caption, index) => {
+        const field = `captions[${index}]`;
+        if (!caption || typeof caption !== 'object') {
+          addError(field, 'Must be an object.');
+          return;
+        }
+        if (typeof caption.source !== 'string' || caption.source.trim() === '') {
+          addError(`${field}.source`, 'Must be an object key or URL.');
+        }
+        const language = caption.language === undefined ? 'und' : caption.language;
+        if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+          addError(`${field}.language`, 'Must be a language tag such as "en" or "pt-BR".');
+        }
+        const label = caption.label === undefined ? language : caption.label;
+        if (typeof label !== 'string' || label.trim() === '' || label.length > MAX_LABEL_LENGTH) {
+          addError(`${field}.label`, `Must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters.`);
+        } else if (CONTROL_CHARACTERS.test(label)) {
+          addError(`${field}.label`, 'Must not contain line breaks or other control characters.');
+        }
+        if (caption.default !== undefined && typeof caption.default !== 'boolean') {
+          addError(`${field}.default`, 'Must be a boolean.');
+        }
+        captions.push({ source: caption.source, language, label, default: caption.default === true });
+      });
+    }
+  }
+
+  let captionNotice = null;
+  if (input.captionNotice !== undefined && input.captionNotice !== null) {
+    if (typeof input.captionNotice !== 'string' || input.captionNotice.length > MAX_NOTICE_LENGTH) {
+      addError('captionNotice', `Must be a string of at most ${MAX_NOTICE_LENGTH} characters.`);
+    } else {
+      captionNotice = input.captionNotice.replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  return { errors, captions, captionNotice };
+}
+
+module.exports = { validateCaptionRequest };
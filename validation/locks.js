@@ -0,0 +1,293 @@
+// How far (seconds) a lock may run past the end of the video and still be accepted (and clamped).
+const DURATION_TOLERANCE = 0.05;
+const OVERLAP_POLICIES = ['reject', 'merge'];
+const MUTE_MODES = ['silence', 'tone'];
+const REGION_MODES = ['blur', 'pixelate', 'fill'];
+const MAX_REGIONS_PER_LOCK = 10;
+// Smallest side (pixels, at the source resolution) a region rectangle may have.
+const MIN_REGION_PIXELS = 8;
+// How far (normalized) a rectangle may run past the frame edge and still be accepted (and clamped).
+const REGION_TOLERANCE = 0.001;
+
+/**
+ * Validates and normalizes the lock definitions of a request against the video's duration.
+ *
+ * input: { blackoutLocks, replacementLocks, imageLocks, muteLocks, regionLocks } - every list is required here;
+ *   callers fill in stored locks for the types a request leaves out.
+ * options: {
+ *   totalDuration,                  // seconds, as probed from the original
+ *   resolution: { width, height },  // pixels, as probed from the original; needed for region locks
+ *   overlapPolicy: 'reject' | 'merge', // 'merge' joins overlapping blackouts, and overlapping mutes of
+ *                                   // the same mode; other overlaps are always errors
+ *   defaultImageDuration,           // seconds an image lock lasts when it has no duration
+ *   fields: { blackout, replacement, image, mute, region } // request field names, used in error paths
+ * }
+ * Mute locks only replace the audio, so they may overlap blackouts (which are silent anyway) but
+ * no replacement or overlay image. Region locks ({ startTime, endTime, mode, color?, regions:
+ * [{ x, y, width, height }] } with the rectangles normalized to 0-1 of the frame) only cover part
+ * of the picture, so the same goes for them; they may also overlap mutes and each other.
+ * Returns { errors: [{ field, message }], locks: { blackoutLocks, replacementLocks, imageLocks, muteLocks, regionLocks } }.
+ * locks holds numbers instead of numeric strings, image defaults filled in and blackouts merged
+ * when the policy says so; it is only meaningful when errors is empty.
+ */
+function validateLockDefinitions(input, options) {
+  const {
+    totalDuration,
+    overlapPolicy = 'reject',
+    resolution,
+    defaultImageDuration,
+    fields = {
+      blackout: 'blackoutLocks',
+      replacement: 'replacementLocks',
+      image: 'imageLocks',
+      mute: 'muteLocks',
+      region: 'regionLocks'
+    }
+  } = options;
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (!OVERLAP_POLICIES.includes(overlapPolicy)) {
+    addError('overlapPolicy', `Must be one of: ${OVERLAP_POLICIES.join(', ')}.`);
+  }
+
+  // Reads a time field: a finite number (or numeric string) within [0, totalDuration].
+  const readTime = (value, field) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      addError(field, 'Must be a number of seconds.');
+      return null;
+    }
+    if (number < 0) {
+      addError(field, 'Must not be negative.');
+      return null;
+    }
+    if (number > totalDuration + DURATION_TOLERANCE) {
+      addError(field, `Is past the end of the video (${totalDuration.toFixed(3)}s).`);
+      return null;
+    }
+    return Math.min(number, totalDuration);
+  };
+
+  const readList = (list, field) => {
+    if (!Array.isArray(list)) {
+      addError(field, 'Must be a list.');
+      return [];
+    }
+    return list.map((lock, index) => {
+      if (!lock || typeof lock !== 'object') {
+        addError(`${field}[${index}]`, 'Must be an object.');
+        return null;
+      }
+      return lock;
+    });
+  };
+
+  // Reads the rectangles of a region lock, normalized to the frame and at least MIN_REGION_PIXELS
+  // on each side at the source resolution.
+  const readRegions = (regions, field) => {
+    if (!Array.isArray(regions) || regions.length === 0 || regions.length > MAX_REGIONS_PER_LOCK) {
+      addError(field, `Must be a list of 1 to ${MAX_REGIONS_PER_LOCK} rectangles.`);
+      return null;
+    }
+    if (!resolution) {
+      addError(field, 'The resolution of the original video is unknown.');
+      return null;
+    }
+    const rects = [];
+    regions.forEach((region, index) => {
+      const rectField = `${field}[${index}]`;
+      if (!region || typeof region !== 'object') {
+        addError(rectField, 'Must be an object.');
+        return;
+      }
+      const values = {};
+      for (const key of ['x', 'y', 'width', 'height']) {
+        const number = typeof region[key] === 'string' && region[key].trim() !== '' ? Number(region[key]) : region[key];
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 1) {
+          addError(`${rectField}.${key}`, 'Must be a number from 0 to 1 (a fraction of the frame).');
+          return;
+        }
+        values[key] = number;
+      }
+      if (values.x + values.width > 1 + REGION_TOLERANCE || values.y + values.height > 1 + REGION_TOLERANCE) {
+        addError(rectField, 'Runs past the edge of the frame.');
+        return;
+      }
+      if (values.width * resolution.width < MIN_REGION_PIXELS || values.height * resolution.height < MIN_REGION_PIXELS) {
+        addError(rectField, `Is smaller than ${MIN_REGION_PIXELS}x${MIN_REGION_PIXELS} pixels at ${resolution.width}x${resolution.height}.`);
+        return;
+      }
+      rects.push({
+        x: values.x,
+        y: values.y,
+        width: Math.min(values.width, 1 - values.x),
+        height: Math.min(values.height, 1 - values.y)
+      });
+    });
+    return rects.length === regions.length ? rects : null;
+  };
+
+  // Blackout and replacement locks cover [startTime, endTime) of the original.
+  const readSpan = (lock, field) => {
+    const start = readTime(lock.startTime, `${field}.startTime`);
+    const end = readTime(lock.endTime, `${field}.endTime`);
+    if (start !== null && end !== null && start >= end) {
+      addError(field, 'startTime must be before endTime.');
+      return null;
+    }
+    return start === null || end === null ? null : { startTime: start, endTime: end };
+  };
+
+  const blackoutLocks = [];
+  const spans = [];
+  readList(input.blackoutLocks, fields.blackout).forEach((lock, index) => {
+    const field = `${fields.blackout}[${index}]`;
+    const span = lock && readSpan(lock, field);
+    if (span) {
+      blackoutLocks.push(span);
+      spans.push({ ...span, field, type: 'blackout' });
+    }
+  });
+
+  const replacementLocks = [];
+  readList(input.replacementLocks, fields.replacement).forEach((lock, index) => {
+    const field = `${fields.replacement}[${index}]`;
+    if (!lock) return;
+    if (typeof lock.replacementVideo !== 'string' || !lock.replacementVideo.trim()) {
+      addError(`${field}.replacementVideo`, 'Must be an object key or an http(s) URL.');
+    }
+    const span = readSpan(lock, field);
+    if (span) {
+      replacementLocks.push({ ...span, replacementVideo: lock.replacementVideo });
+      spans.push({ ...span, field, type: 'replacement' });
+    }
+  });
+
+  // Overlay images cover [time, time + duration); inserted ones take no time from the original.
+  const imageLocks = [];
+  const inserts = [];
+  readList(input.imageLocks, fields.image).forEach((lock, index) => {
+    const field = `${fields.image}[${index}]`;
+    if (!lock) return;
+    if (typeof lock.imageUrl !== 'string' || !lock.imageUrl.trim()) {
+      addError(`${field}.imageUrl`, 'Must be an object key or an http(s) URL.');
+    }
+    if (lock.mode !== undefined && !['overlay', 'insert'].includes(lock.mode)) {
+      addError(`${field}.mode`, 'Must be "overlay" or "insert".');
+    }
+    const duration = lock.duration === undefined ? defaultImageDuration : Number(lock.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      addError(`${field}.duration`, 'Must be a positive number of seconds.');
+    }
+    const time = readTime(lock.time, `${field}.time`);
+    if (time === null || !Number.isFinite(duration) || duration <= 0) return;
+    const mode = lock.mode === 'insert' ? 'insert' : 'overlay';
+    if (mode === 'overlay') {
+      if (time + duration > totalDuration + DURATION_TOLERANCE) {
+        addError(field, `Overlay runs past the end of the video (${totalDuration.toFixed(3)}s).`);
+        return;
+      }
+      spans.push({ startTime: time, endTime: Math.min(time + duration, totalDuration), field, type: 'image' });
+    } else {
+      inserts.push({ time, field });
+    }
+    imageLocks.push({ time, imageUrl: lock.imageUrl, duration, mode });
+  });
+
+  // Mute locks cover [startTime, endTime) of the original's audio.
+  const muteLocks = [];
+  readList(input.muteLocks, fields.mute).forEach((lock, index) => {
+    const field = `${fields.mute}[${index}]`;
+    if (!lock) return;
+    if (lock.mode !== undefined && !MUTE_MODES.includes(lock.mode)) {
+      addError(`${field}.mode`, `Must be one of: ${MUTE_MODES.join(', ')}.`);
+    }
+    const span = readSpan(lock, field);
+    if (span) {
+      muteLocks.push({ ...span, mode: lock.mode === 'tone' ? 'tone' : 'silence', field });
+    }
+  });
+
+  // Region locks cover [startTime, endTime) of part of the original's picture.
+  const regionLocks = [];
+  readList(input.regionLocks || [], fields.region).forEach((lock, index) => {
+    const field = `${fields.region}[${index}]`;
+    if (!lock) return;
+    const mode = lock.mode === undefined ? 'blur' : lock.mode;
+    if (!REGION_MODES.includes(mode)) {
+      addError(`${field}.mode`, `Must be one of: ${REGION_MODES.join(', ')}.`);
+    }
+    if (lock.color !== undefined && (mode !== 'fill' || typeof lock.color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(lock.color))) {
+      addError(`${field}.color`, 'Must be a "#RRGGBB" color, and only for mode "fill".');
+    }
+    const regions = readRegions(lock.regions, `${field}.regions`);
+    const span = readSpan(lock, field);
+    if (span && regions) {
+      regionLocks.push({
+        ...span,
+        mode,
+        ...(mode === 'fill' ? { color: lock.color || '#000000' } : {}),
+        regions,
+        field
+      });
+    }
+  });
+
+  // Overlapping blackouts are joined under the merge policy; every other overlap is an error.
+  spans.sort((a, b) => a.startTime - b.startTime);
+  const merged = [];
+  for (const span of spans) {
+    const previous = merged[merged.length - 1];
+    if (!previous || span.startTime >= previous.endTime) {
+      merged.push({ ...span });
+    } else if (overlapPolicy === 'merge' && span.type === 'blackout' && previous.type === 'blackout') {
+      previous.endTime = Math.max(previous.endTime, span.endTime);
+    } else {
+      addError(span.field, `Overlaps ${previous.field} (${previous.startTime}s-${previous.endTime}s).`);
+    }
+  }
+  // Mutes are checked on their own: they may overlap blackouts, and each other under the merge policy.
+  muteLocks.sort((a, b) => a.startTime - b.startTime);
+  const mergedMutes = [];
+  for (const mute of muteLocks) {
+    const other = merged.find(s => s.type !== 'blackout' && mute.startTime < s.endTime && s.startTime < mute.endTime);
+    const previous = mergedMutes[mergedMutes.length - 1];
+    if (other) {
+      addError(mute.field, `Overlaps ${other.field} (${other.startTime}s-${other.endTime}s).`);
+    } else if (!previous || mute.startTime >= previous.endTime) {
+      mergedMutes.push({ ...mute });
+    } else if (overlapPolicy === 'merge' && mute.mode === previous.mode) {
+      previous.endTime = Math.max(previous.endTime, mute.endTime);
+    } else {
+      addError(mute.field, `Overlaps ${previous.field} (${previous.startTime}s-${previous.endTime}s).`);
+    }
+  }
+  for (const region of regionLocks) {
+    const other = merged.find(s => s.type !== 'blackout' && region.startTime < s.endTime && s.startTime < region.endTime);
+    if (other) {
+      addError(region.field, `Overlaps ${other.field} (${other.startTime}s-${other.endTime}s).`);
+    }
+  }
+  for (const insert of inserts) {
+    const span = [...merged, ...mergedMutes, ...regionLocks].find(s => s.startTime < insert.time && insert.time < s.endTime);
+    if (span) {
+      addError(`${insert.field}.time`, `Falls inside ${span.field} (${span.startTime}s-${span.endTime}s).`);
+    }
+  }
+
+  return {
+    errors,
+    locks: {
+      blackoutLocks: overlapPolicy === 'merge'
+        ? merged.filter(s => s.type === 'blackout').map(s => ({ startTime: s.startTime, endTime: s.endTime }))
+        : blackoutLocks,
+      replacementLocks,
+      imageLocks,
+      muteLocks: mergedMutes.map(s => ({ startTime: s.startTime, endTime: s.endTime, mode: s.mode })),
+      regionLocks: regionLocks.map(({ field, ...lock }) => lock)
+    }
+  };
+}
+
+module.exports = { validateLockDefinitions };
@@ -0,0 +1,89 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+// Addresses outbound requests (webhooks, lock assets) may not reach: "this" network, private,
+// carrier-grade NAT, loopback, link-local (cloud metadata endpoints), benchmarking, multicast and reserved.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * True if an IP address is loopback, private, link-local or otherwise not publicly routable.
+ */
+function isPrivateAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Checks that a URL is absolute http(s) and that every address its host resolves to is public.
+ * Run it right before each request as well, since DNS answers can change after registration.
+ * Returns an error message naming `field`, or null.
+ */
+async function checkPublicUrl(url, field = 'url') {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return `${field} must be an absolute URL.`;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return `${field} must use http or https.`;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (error) {
+    return `${field} host could not be resolved.`;
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return `${field} must not point at a private, loopback or link-local address.`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup replacement for the sockets of outbound requests: fails when the host resolves to an address
+ * isPrivateAddress rejects, so a DNS answer that changes after checkPublicUrl cannot reach one.
+ * Hosts given as IP literals never go through a lookup; checkPublicUrl covers those.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      const lookupError = new Error(`${hostname} resolves to a private, loopback or link-local address.`);
+      lookupError.code = 'EPRIVATEADDRESS';
+      return callback(lookupError);
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connections of fetchPublic; every socket resolves its host through publicLookup.
+const publicDispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * fetch() whose connections can only reach public addresses. Redirects are never followed, so callers
+ * run checkPublicUrl on each Location before requesting it.
+ */
+function fetchPublic(url, options = {}) {
+  return fetch(url, { ...options, redirect: 'manual', dispatcher: publicDispatcher });
+}
+
+module.exports = { checkPublicUrl, fetchPublic, isPrivateAddress, publicLookup };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { checkPublicUrl, fetchPublic } = require('../validation/urls');
+
+// Events a webhook can subscribe to.
+const WEBHOOK_EVENTS = [
+  'lock.created',
+  'lock.modified',
+  'lock.deleted',
+  'render.failed',
+  'content.unlocked',
+  'content.relocked'
+];
+// Deliveries are attempted this many times in total before they are marked failed.
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Endpoints that take longer than this to respond count as failed attempts.
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// First retry delay; it doubles with every further attempt, up to WEBHOOK_MAX_RETRY_DELAY_MS.
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Returns a new random signing secret.
+ */
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signature header value for a request body: "t=<unix seconds>,v1=<hex HMAC-SHA256>".
+ * The HMAC covers "<timestamp>.<body>", so receivers can reject replays of old requests.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed ones: 30s, 1m, 2m, ... capped at an hour.
+ */
+function webhookRetryDelay(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), WEBHOOK_MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * POSTs a signed event payload to a webhook URL. The host is resolved again first, and the connection
+ * can only go to a public address, so an endpoint that has moved to a private one is not called.
+ * Redirects are not followed.
+ * Returns { ok, status, error }: ok for any 2xx response; status is null when there was no response.
+ */
+async function sendWebhook({ url, secret, deliveryId, payload }) {
+  const urlError = await checkPublicUrl(url);
+  if (urlError) {
+    return { ok: false, status: null, error: urlError };
+  }
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetchPublic(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'demo-server-webhooks/1.0',
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Delivery': String(deliveryId),
+        'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    // Drain the body so the connection is released.
+    await response.arrayBuffer().catch(() => {});
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `Endpoint responded ${response.status}.`
+    };
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      return { ok: false, status: null, error: 'Request timed out.' };
+    }
+    // fetch reports connection failures (including refused private addresses) as its cause.
+    return { ok: false, status: null, error: error.cause ? error.cause.message : error.message };
+  }
+}
+
+/**
+ * Checks a webhook URL: absolute http(s) on a host that resolves to public addresses only.
+ * Resolves with an error message or null.
+ */
+async function validateWebhookUrl(url) {
+  return checkPublicUrl(url);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  generateWebhookSecret,
+  sendWebhook,
+  signWebhookPayload,
+  validateWebhookUrl,
+  webhookRetryDelay
+};